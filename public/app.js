@@ -2,6 +2,26 @@
  * Main App - Tab Navigation
  */
 
+const AUTH_TOKEN_KEY = 'ai-sandbox:auth-token';
+
+/**
+ * Save an access token handed out as a link (…/#token=abc) and remove it from
+ * the address bar. The editors send it as a bearer token on every request.
+ */
+function captureAuthToken() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const token = params.get('token');
+  if (!token) return;
+
+  localStorage.setItem(AUTH_TOKEN_KEY, token);
+  params.delete('token');
+  const hash = params.toString();
+  history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`);
+}
+
+// Runs before the editors are created so their first requests carry the token
+captureAuthToken();
+
 class App {
   constructor() {
     this.currentTab = 'csv';
@@ -0,0 +1,139 @@
+/**
+ * Clarification Modal - answers for Claude's ask_user questions
+ * No build process required
+ *
+ * Used by both editors. Each question from clarification_needed gets a radio
+ * group when it has options (plus an "Other" choice with its own text box if
+ * allow_other is set) or a text box otherwise:
+ *
+ *   const modal = new ClarificationModal(document.getElementById('clarification-modal'));
+ *   const answers = await modal.ask(event.questions);
+ *   // { [question id]: 'answer' }, or null if the user cancelled
+ *
+ * Submit is refused until every question has an answer.
+ */
+
+const OTHER_CHOICE = '__other__';
+
+class ClarificationModal {
+  constructor(modal) {
+    this.modal = modal;
+    this.body = modal.querySelector('.clarification-questions');
+    this.submitBtn = modal.querySelector('.btn-submit');
+    this.cancelBtn = modal.querySelector('.btn-cancel');
+  }
+
+  ask(questions) {
+    return new Promise((resolve) => {
+      const items = questions.map((question, idx) => this.renderQuestion(question, idx));
+      this.body.innerHTML = '';
+      items.forEach(item => this.body.appendChild(item.element));
+
+      this.modal.style.display = 'flex';
+      setTimeout(() => items[0]?.focus(), 100);
+
+      const finish = (answers) => {
+        this.modal.style.display = 'none';
+        this.submitBtn.removeEventListener('click', handleSubmit);
+        this.cancelBtn.removeEventListener('click', handleCancel);
+        document.removeEventListener('keydown', handleKey);
+        resolve(answers);
+      };
+
+      const handleSubmit = () => {
+        const answers = {};
+        let complete = true;
+        items.forEach((item, idx) => {
+          const answer = item.value();
+          item.element.classList.toggle('missing', !answer);
+          if (answer) answers[questions[idx].id] = answer;
+          else complete = false;
+        });
+        if (complete) finish(answers);
+      };
+
+      const handleCancel = () => finish(null);
+
+      // Escape cancels, Ctrl+Enter submits
+      const handleKey = (e) => {
+        if (e.key === 'Escape') {
+          handleCancel();
+        } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+          e.preventDefault();
+          handleSubmit();
+        }
+      };
+
+      this.submitBtn.addEventListener('click', handleSubmit);
+      this.cancelBtn.addEventListener('click', handleCancel);
+      document.addEventListener('keydown', handleKey);
+    });
+  }
+
+  /**
+   * One question's block. Returns { element, value(), focus() } - value() is
+   * the trimmed answer, or '' while it is unanswered.
+   */
+  renderQuestion(question, idx) {
+    const element = document.createElement('div');
+    element.className = 'clarification-item';
+
+    const text = document.createElement('p');
+    text.className = 'clarification-question';
+    text.textContent = question.question;
+    element.appendChild(text);
+
+    const context = document.createElement('p');
+    context.className = 'clarification-context';
+    context.textContent = question.why_asking || '';
+    element.appendChild(context);
+
+    if (question.options.length === 0) {
+      const input = document.createElement('textarea');
+      input.className = 'clarification-input';
+      input.placeholder = 'Enter your answer...';
+      input.rows = 4;
+      element.appendChild(input);
+      return { element, value: () => input.value.trim(), focus: () => input.focus() };
+    }
+
+    const name = `clarification-${idx}`;
+    const group = document.createElement('div');
+    group.className = 'clarification-options';
+    question.options.forEach(option => group.appendChild(this.radio(name, option, option)));
+
+    let other = null;
+    if (question.allow_other) {
+      const label = this.radio(name, OTHER_CHOICE, 'Other:');
+      other = document.createElement('input');
+      other.type = 'text';
+      other.className = 'clarification-other';
+      other.placeholder = 'Your own answer';
+      // Typing an answer picks "Other"
+      other.addEventListener('focus', () => {
+        label.querySelector('input').checked = true;
+      });
+      label.appendChild(other);
+      group.appendChild(label);
+    }
+    element.appendChild(group);
+
+    const value = () => {
+      const checked = group.querySelector('input[type="radio"]:checked');
+      if (!checked) return '';
+      return checked.value === OTHER_CHOICE ? other.value.trim() : checked.value;
+    };
+    return { element, value, focus: () => group.querySelector('input').focus() };
+  }
+
+  radio(name, value, text) {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = name;
+    input.value = value;
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(` ${text}`));
+    return label;
+  }
+}
@@ -3,300 +3,44 @@
  * No build process required
  */
 
-class CSVEditor {
+class CSVEditor extends SandboxEditor {
   constructor() {
-    // Worker endpoint - change this to your deployed worker URL
-    this.workerEndpoint = 'https://ai-sandbox-worker.foray-consulting.workers.dev/api/generate';
-
-    // DOM Elements
-    this.elements = {
-      prompt: document.getElementById('csv-prompt'),
-      generateBtn: document.getElementById('csv-generate'),
-      stopBtn: document.getElementById('csv-stop'),
-      clearBtn: document.getElementById('csv-clear'),
-      addRowBtn: document.getElementById('csv-add-row'),
-      textArea: document.getElementById('csv-text'),
-      tableContainer: document.getElementById('csv-table-container'),
-      streamingStatus: document.getElementById('csv-streaming-status'),
-      error: document.getElementById('csv-error'),
-    };
+    super('csv', { extractPrompt: 'Extract the table in this image.' });
+    this.elements.addRowBtn = document.getElementById('csv-add-row');
+    this.elements.tableContainer = document.getElementById('csv-table-container');
 
     // State
-    this.isStreaming = false;
-    this.abortController = null;
     this.csvData = [];
     this.editingCell = null;
-    this.conversationHistory = []; // Full conversation for iterative updates
 
     this.init();
   }
 
-  // Get current mode based on content
-  get mode() {
-    return this.elements.textArea.value.trim() ? 'update' : 'generate';
-  }
-
-  // Update button label based on mode
-  updateButtonLabel() {
-    const label = this.mode === 'generate' ? 'Generate' : 'Update';
-    this.elements.generateBtn.textContent = label;
-  }
-
   init() {
-    // Event listeners
-    this.elements.generateBtn.addEventListener('click', () => this.generate());
-    this.elements.stopBtn.addEventListener('click', () => this.stopStreaming());
-    this.elements.clearBtn.addEventListener('click', () => this.clear());
+    super.init();
     this.elements.addRowBtn.addEventListener('click', () => this.addRow());
-    this.elements.textArea.addEventListener('input', () => {
-      this.parseAndRender();
-      this.updateButtonLabel();
-    });
-    this.elements.prompt.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') this.generate();
-    });
-
-    // Example buttons
-    document.querySelectorAll('.csv-example').forEach(btn => {
-      btn.addEventListener('click', () => {
-        this.elements.prompt.value = btn.textContent;
-        this.generate();
-      });
-    });
-
-    // Initialize button label
-    this.updateButtonLabel();
   }
 
-  async generate() {
-    const prompt = this.elements.prompt.value.trim();
-    if (!prompt || this.isStreaming) return;
-
-    this.isStreaming = true;
-    this.elements.generateBtn.disabled = true;
-    this.elements.stopBtn.classList.remove('hidden');
-    this.elements.streamingStatus.classList.remove('hidden');
-    this.elements.textArea.disabled = true;
-    this.elements.error.classList.add('hidden');
-
-    // Store current content for context
-    const currentContent = this.elements.textArea.value.trim();
-
-    // Build user message with context
-    let userMessage;
-    if (currentContent && this.mode === 'update') {
-      // Update mode: include current content
-      userMessage = `Current content:\n${currentContent}\n\nInstruction: ${prompt}`;
-    } else {
-      // Generate mode: just the prompt
-      userMessage = prompt;
-      // Clear textarea for new generation
-      this.elements.textArea.value = '';
-    }
-
-    // Add user message to conversation history
-    this.conversationHistory.push({
-      role: 'user',
-      content: userMessage
-    });
-
-    this.abortController = new AbortController();
-    let assistantResponse = '';
-
-    try {
-      const response = await fetch(this.workerEndpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          messages: this.conversationHistory,
-          contentType: 'csv'
-        }),
-        signal: this.abortController.signal,
-      });
-
-      if (!response.ok) {
-        throw new Error(`API request failed: ${response.statusText}`);
-      }
-
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
-
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data === '[DONE]') continue;
-
-            try {
-              const parsed = JSON.parse(data);
-
-              // Handle different event types
-              if (parsed.type === 'clarification_needed') {
-                // Claude needs clarification - show modal
-                await this.showClarificationModal(parsed.question, parsed.why_asking, parsed.conversation_state);
-                // Modal will handle resumption - exit stream processing
-                return;
-              } else if (parsed.type === 'tool_use') {
-                // Claude is using a tool
-                this.updateStatus(`${parsed.command === 'view' ? 'Viewing' : 'Editing'} content...`);
-                this.highlightTextarea('editing');
-              } else if (parsed.type === 'content_update') {
-                // Content has been updated by an edit - visualize the change
-                await this.visualizeEdit(parsed.content, parsed.edit);
-              } else if (parsed.type === 'tool_result') {
-                // Tool execution result
-                if (parsed.success) {
-                  this.updateStatus(parsed.message || 'Edit applied');
-                } else {
-                  this.showError(`Edit failed: ${parsed.message}`);
-                }
-              } else if (parsed.type === 'text') {
-                // Final text response from Claude (summary)
-                assistantResponse += parsed.text;
-                this.updateStatus(parsed.text);
-              } else if (parsed.text) {
-                // Legacy format support
-                assistantResponse += parsed.text;
-                this.elements.textArea.value += parsed.text;
-                this.parseAndRender();
-              } else if (parsed.error) {
-                // Error from worker
-                this.showError(parsed.error);
-              }
-            } catch (e) {
-              // Skip invalid JSON
-              console.warn('Failed to parse SSE data:', e);
-            }
-          }
-        }
-      }
-
-      // Add assistant response to conversation history
-      if (assistantResponse) {
-        this.conversationHistory.push({
-          role: 'assistant',
-          content: assistantResponse
-        });
-      }
-
-    } catch (error) {
-      if (error.name !== 'AbortError') {
-        console.error('Generation error:', error);
-        this.showError(`Error: ${error.message}. Make sure the worker is deployed and ANTHROPIC_API_KEY is set.`);
-      }
-      // Remove the user message from history if request failed
-      this.conversationHistory.pop();
-    } finally {
-      this.isStreaming = false;
-      this.elements.generateBtn.disabled = false;
-      this.elements.stopBtn.classList.add('hidden');
-      this.elements.streamingStatus.classList.add('hidden');
-      this.elements.textArea.disabled = false;
-      this.elements.prompt.value = '';
-      this.updateButtonLabel();
-    }
-  }
-
-  updateStatus(message) {
-    this.elements.streamingStatus.textContent = message;
-  }
-
-  highlightTextarea(type) {
-    const textarea = this.elements.textArea;
-    textarea.classList.remove('highlight-editing', 'highlight-success');
-
-    if (type === 'editing') {
-      textarea.classList.add('highlight-editing');
-    } else if (type === 'success') {
-      textarea.classList.add('highlight-success');
-      setTimeout(() => textarea.classList.remove('highlight-success'), 500);
-    }
+  render() {
+    this.parseAndRender();
   }
 
   /**
-   * Visualize an edit with smooth animations
-   * Shows WHERE and WHAT changed in the textarea
+   * Show csv_editor commands in the table; other edits are animated in the
+   * textarea
    */
   async visualizeEdit(newContent, editMetadata) {
-    const textarea = this.elements.textArea;
-
-    if (!editMetadata) {
-      // No metadata - just update content
-      textarea.value = newContent;
-      this.parseAndRender();
-      this.highlightTextarea('success');
+    if (editMetadata?.type !== 'csv_edit') {
+      await super.visualizeEdit(newContent, editMetadata);
       return;
     }
 
-    // STEP 1: Scroll to and select the text being edited
-    textarea.setSelectionRange(editMetadata.start_pos, editMetadata.end_pos);
-    textarea.focus();
-
-    // Scroll to the selection
-    this.scrollToSelection(textarea, editMetadata.start_pos);
-
-    // STEP 2: Apply the edit - just do it directly without color effects
-    // For small edits, show character-by-character typing
-    if (editMetadata.new_text.length > 0 && editMetadata.new_text.length < 50) {
-      await this.animateTyping(textarea, newContent, editMetadata);
-    } else {
-      // For large edits or deletions, just replace instantly
-      await this.sleep(300); // Small pause to let user see selection
-      textarea.value = newContent;
-    }
-
-    // Update table view
+    // Structured edit - show it in the table rather than the raw text
+    const textarea = this.elements.textArea;
+    textarea.value = newContent;
+    this.scrollToLine(textarea, editMetadata.line_number || 1);
     this.parseAndRender();
-  }
-
-  /**
-   * Scroll textarea to show the edited position
-   */
-  scrollToSelection(textarea, charPosition) {
-    // Get the text before the edit position
-    const textBefore = textarea.value.substring(0, charPosition);
-    const lines = textBefore.split('\n');
-    const lineNumber = lines.length;
-
-    // Estimate scroll position (approximate)
-    const lineHeight = 20; // pixels per line (match CSS)
-    const targetScroll = (lineNumber - 5) * lineHeight; // Center in view
-
-    textarea.scrollTop = Math.max(0, targetScroll);
-  }
-
-  /**
-   * Animate typing effect for small edits
-   */
-  async animateTyping(textarea, finalContent, editMetadata) {
-    const oldContent = textarea.value;
-    const newText = editMetadata.new_text;
-
-    // Build content incrementally
-    for (let i = 0; i <= newText.length; i++) {
-      const partialNew = newText.substring(0, i);
-      const before = oldContent.substring(0, editMetadata.start_pos);
-      const after = oldContent.substring(editMetadata.end_pos);
-
-      textarea.value = before + partialNew + after;
-
-      // Update cursor position
-      const cursorPos = editMetadata.start_pos + i;
-      textarea.setSelectionRange(cursorPos, cursorPos);
-
-      await this.sleep(30); // 30ms per character
-    }
-
-    // Set final content to be sure
-    textarea.value = finalContent;
+    this.highlightCsvEdit(editMetadata);
   }
 
   /**
@@ -327,23 +71,88 @@ class CSVEditor {
   }
 
   /**
-   * Sleep utility for animations
+   * Highlight the cells, rows and columns touched by a csv_editor command
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
+  highlightCsvEdit(editMetadata) {
+    const table = this.elements.tableContainer.querySelector('table');
+    if (!table) return;
+
+    const headerCells = table.querySelectorAll('thead th');
+    const bodyRows = table.querySelectorAll('tbody tr');
+    const highlighted = [];
+
+    const mark = (el, className) => {
+      if (!el) return;
+      el.classList.add(className);
+      highlighted.push([el, className]);
+    };
 
-  stopStreaming() {
-    if (this.abortController) {
-      this.abortController.abort();
+    // Row 0 is the header, data rows are numbered from 1
+    const cellAt = (row, column) => (row === 0
+      ? headerCells[column]
+      : bodyRows[row - 1]?.children[column]);
+
+    (editMetadata.columns || []).forEach(column => {
+      mark(headerCells[column], 'column-highlight-edit');
+      bodyRows.forEach(tr => mark(tr.children[column], 'column-highlight-edit'));
+    });
+
+    (editMetadata.rows || []).forEach(row => mark(bodyRows[row - 1], 'row-highlight-edit'));
+
+    (editMetadata.cells || []).forEach(cell => mark(cellAt(cell.row, cell.column), 'cell-highlight-edit'));
+
+    // Scroll the first changed cell or row into view
+    const first = editMetadata.cells?.length
+      ? cellAt(editMetadata.cells[0].row, editMetadata.cells[0].column)
+      : bodyRows[(editMetadata.rows?.[0] || 1) - 1];
+    if (first) {
+      first.scrollIntoView({ behavior: 'smooth', block: 'center' });
     }
+
+    // Remove highlight after 2 seconds
+    setTimeout(() => {
+      highlighted.forEach(([el, className]) => el.classList.remove(className));
+    }, 2000);
   }
 
-  clear() {
-    this.elements.textArea.value = '';
-    this.conversationHistory = [];
-    this.parseAndRender();
-    this.updateButtonLabel();
+  /**
+   * Keep Claude's reason for an edit next to the cells, rows or columns it
+   * changed. Annotations are by row, so edits that move rows move them too.
+   */
+  recordAnnotation(edit) {
+    const { annotations } = this;
+    if (edit.type !== 'csv_edit') {
+      // Text edits - line 1 is the header, row 0
+      annotations.recordTextEdit(edit, -1);
+      return;
+    }
+
+    switch (edit.command) {
+      case 'set_cell':
+      case 'rename_column':
+        edit.cells.forEach(cell => annotations.add(edit.reason, cell.row, cell.row, cell.column));
+        break;
+      case 'insert_rows':
+        if (edit.rows.length === 0) break;
+        annotations.shift(edit.rows[0], edit.rows.length);
+        annotations.add(edit.reason, edit.rows[0], edit.rows[edit.rows.length - 1]);
+        break;
+      case 'delete_rows':
+        // Nothing is left to annotate - only the rows below move up
+        [...edit.deleted_rows].reverse().forEach(({ row }) => annotations.shift(row, -1));
+        break;
+      case 'add_column':
+        annotations.shiftColumns(edit.columns[0], 1);
+        annotations.add(edit.reason, 0, 0, edit.columns[0]);
+        break;
+      case 'reorder_columns':
+      case 'sort_by':
+        // Rows or columns moved in ways the metadata does not describe, so
+        // earlier annotations can no longer be placed
+        annotations.clear();
+        edit.columns.forEach(column => annotations.add(edit.reason, 0, 0, column));
+        break;
+    }
   }
 
   parseCSV(text) {
@@ -403,6 +212,7 @@ class CSVEditor {
       const th = document.createElement('th');
       const cellDiv = this.createEditableCell(cell, 0, colIdx);
       th.appendChild(cellDiv);
+      EditAnnotations.mark(th, this.annotations.reasonsIn(0, 0, colIdx));
       headerRow.appendChild(th);
     });
     thead.appendChild(headerRow);
@@ -414,6 +224,7 @@ class CSVEditor {
         const td = document.createElement('td');
         const cellDiv = this.createEditableCell(cell, rowIdx, colIdx);
         td.appendChild(cellDiv);
+        EditAnnotations.mark(td, this.annotations.reasonsIn(rowIdx, rowIdx, colIdx));
         tr.appendChild(td);
       });
       tbody.appendChild(tr);
@@ -436,7 +247,8 @@ class CSVEditor {
     }
 
     div.addEventListener('click', () => {
-      if (this.isStreaming) return;
+      // Proposals are reviewed against the document as it is
+      if (this.isStreaming || this.review.active) return;
       this.startCellEdit(div, rowIdx, colIdx);
     });
 
@@ -471,7 +283,7 @@ class CSVEditor {
   }
 
   addRow() {
-    if (this.csvData.length === 0) return;
+    if (this.csvData.length === 0 || this.review.active) return;
 
     const colCount = this.csvData[0].length;
     const newRow = new Array(colCount).fill('');
@@ -479,197 +291,6 @@ class CSVEditor {
     this.elements.textArea.value = this.arrayToCSV(this.csvData);
     this.renderTable();
   }
-
-  showError(message) {
-    this.elements.error.textContent = message;
-    this.elements.error.classList.remove('hidden');
-  }
-
-  /**
-   * Show clarification modal when Claude needs more information
-   */
-  showClarificationModal(question, whyAsking, conversationState) {
-    return new Promise((resolve) => {
-      const modal = document.getElementById('clarification-modal');
-      const questionEl = modal.querySelector('.clarification-question');
-      const contextEl = modal.querySelector('.clarification-context');
-      const inputEl = modal.querySelector('.clarification-input');
-      const submitBtn = modal.querySelector('.btn-submit');
-      const cancelBtn = modal.querySelector('.btn-cancel');
-
-      // Set content
-      questionEl.textContent = question;
-      contextEl.textContent = whyAsking || '';
-      inputEl.value = '';
-
-      // Show modal
-      modal.style.display = 'flex';
-      setTimeout(() => inputEl.focus(), 100);
-
-      // Handle submit
-      const handleSubmit = async () => {
-        const answer = inputEl.value.trim();
-        if (!answer) return;
-
-        // Disable buttons during submission
-        submitBtn.disabled = true;
-        cancelBtn.disabled = true;
-        submitBtn.textContent = 'SUBMITTING...';
-
-        // Hide modal
-        modal.style.display = 'none';
-
-        // Resume conversation with answer
-        await this.resumeWithClarification(conversationState, answer);
-
-        // Cleanup
-        cleanup();
-        resolve();
-      };
-
-      // Handle cancel
-      const handleCancel = () => {
-        modal.style.display = 'none';
-        cleanup();
-        resolve();
-      };
-
-      // Handle escape key
-      const handleEscape = (e) => {
-        if (e.key === 'Escape') handleCancel();
-      };
-
-      // Handle enter key in textarea (Ctrl+Enter to submit)
-      const handleEnter = (e) => {
-        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
-          e.preventDefault();
-          handleSubmit();
-        }
-      };
-
-      // Cleanup function
-      const cleanup = () => {
-        submitBtn.disabled = false;
-        cancelBtn.disabled = false;
-        submitBtn.textContent = 'SUBMIT';
-        submitBtn.removeEventListener('click', handleSubmit);
-        cancelBtn.removeEventListener('click', handleCancel);
-        document.removeEventListener('keydown', handleEscape);
-        inputEl.removeEventListener('keydown', handleEnter);
-      };
-
-      // Attach event listeners
-      submitBtn.addEventListener('click', handleSubmit);
-      cancelBtn.addEventListener('click', handleCancel);
-      document.addEventListener('keydown', handleEscape);
-      inputEl.addEventListener('keydown', handleEnter);
-    });
-  }
-
-  /**
-   * Resume conversation after receiving clarification from user
-   */
-  async resumeWithClarification(conversationState, clarificationAnswer) {
-    // Re-enable streaming UI
-    this.isStreaming = true;
-    this.elements.generateBtn.disabled = true;
-    this.elements.stopBtn.classList.remove('hidden');
-    this.elements.streamingStatus.classList.remove('hidden');
-    this.elements.textArea.disabled = true;
-    this.updateStatus('Resuming with your answer...');
-
-    this.abortController = new AbortController();
-    let assistantResponse = '';
-
-    try {
-      const response = await fetch(this.workerEndpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contentType: 'csv',
-          conversation_state: conversationState,
-          clarification_answer: clarificationAnswer,
-          // Send a dummy message to satisfy the worker's requirement
-          messages: [{ role: 'user', content: 'Resume' }]
-        }),
-        signal: this.abortController.signal,
-      });
-
-      if (!response.ok) {
-        throw new Error(`API request failed: ${response.statusText}`);
-      }
-
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
-
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data === '[DONE]') continue;
-
-            try {
-              const parsed = JSON.parse(data);
-
-              // Handle events (same as generate)
-              if (parsed.type === 'clarification_needed') {
-                // Nested clarification (Claude asks another question)
-                await this.showClarificationModal(parsed.question, parsed.why_asking, parsed.conversation_state);
-                return;
-              } else if (parsed.type === 'tool_use') {
-                this.updateStatus(`${parsed.command === 'view' ? 'Viewing' : 'Editing'} content...`);
-                this.highlightTextarea('editing');
-              } else if (parsed.type === 'content_update') {
-                await this.visualizeEdit(parsed.content, parsed.edit);
-              } else if (parsed.type === 'tool_result') {
-                if (parsed.success) {
-                  this.updateStatus(parsed.message || 'Edit applied');
-                } else {
-                  this.showError(`Edit failed: ${parsed.message}`);
-                }
-              } else if (parsed.type === 'text') {
-                assistantResponse += parsed.text;
-                this.updateStatus(parsed.text);
-              } else if (parsed.error) {
-                this.showError(parsed.error);
-              }
-            } catch (e) {
-              console.warn('Failed to parse SSE data:', e);
-            }
-          }
-        }
-      }
-
-      // Add assistant response to conversation history
-      if (assistantResponse) {
-        this.conversationHistory.push({
-          role: 'assistant',
-          content: assistantResponse
-        });
-      }
-
-    } catch (error) {
-      if (error.name !== 'AbortError') {
-        console.error('Resume error:', error);
-        this.showError(`Error: ${error.message}`);
-      }
-    } finally {
-      this.isStreaming = false;
-      this.elements.generateBtn.disabled = false;
-      this.elements.stopBtn.classList.add('hidden');
-      this.elements.streamingStatus.classList.add('hidden');
-      this.elements.textArea.disabled = false;
-      this.updateButtonLabel();
-    }
-  }
 }
 
 // Initialize when DOM is ready
@@ -0,0 +1,104 @@
+/**
+ * Edit Annotations - Claude's reason for each change, kept next to it
+ * No build process required
+ *
+ * Used by both editors. Every content_update whose edit carries a reason adds
+ * an annotation covering the positions it changed - table rows (and a column,
+ * for a single cell or header) in the CSV editor, document lines in the
+ * Markdown editor. The editors mark annotated cells and preview blocks and
+ * show the reasons on hover.
+ *
+ * Later edits of the same instruction move earlier annotations along when
+ * they add or remove lines, and drop those whose lines were deleted:
+ *
+ *   const annotations = new EditAnnotations();
+ *   annotations.recordTextEdit(event.edit);      // str_replace, insert, ...
+ *   annotations.reasonsIn(3, 5);                 // reasons touching lines 3-5
+ *
+ * The annotations describe the latest instruction; the editors clear them
+ * when the next one starts or the user edits the text by hand.
+ */
+
+class EditAnnotations {
+  constructor() {
+    this.items = []; // { reason, from, to, column } - column is null for whole rows / lines
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  clear() {
+    this.items = [];
+  }
+
+  add(reason, from, to = from, column = null) {
+    if (!reason) return;
+    this.items.push({ reason, from, to, column });
+  }
+
+  /**
+   * Positions from `at` on moved by `count` - inserted when positive, removed
+   * when negative. Annotations that only covered removed positions go.
+   */
+  shift(at, count) {
+    if (!count) return;
+    const removedEnd = at - count; // first position after the removed ones
+    this.items = this.items.filter(item => count > 0 || item.from < at || item.to >= removedEnd);
+    this.items.forEach(item => {
+      if (item.from >= at) item.from = Math.max(at, item.from + count);
+      if (item.to >= at) item.to = Math.max(at, item.to + count);
+    });
+  }
+
+  /**
+   * Columns from `at` on moved by `count` - for CSV column inserts
+   */
+  shiftColumns(at, count) {
+    this.items.forEach(item => {
+      if (item.column !== null && item.column >= at) item.column += count;
+    });
+  }
+
+  /**
+   * Annotate and track an edit described by line_number / old_text / new_text
+   * (str_replace, insert, delete_range, section edits). replace_all has no
+   * text and is annotated at its first match. `offset` converts document
+   * lines to positions, e.g. -1 for CSV rows under a header line.
+   */
+  recordTextEdit(edit, offset = 0) {
+    const line = edit.line_number + offset;
+    const newlines = (text) => (text || '').split('\n').length - 1;
+
+    // Lines before the insertion point keep their number; after any other
+    // edit only the lines below the first changed one move
+    const at = edit.type === 'insert' || edit.type === 'delete_range' ? line : line + 1;
+    this.shift(at, newlines(edit.new_text) - newlines(edit.old_text));
+
+    // The lines the new text now occupies - a line break at either end only
+    // joins it to its neighbours
+    const added = (edit.new_text || '').replace(/^\n|\n$/g, '');
+    if (edit.new_text === '') return; // Nothing left to annotate
+    this.add(edit.reason, line, line + newlines(added));
+  }
+
+  /**
+   * Reasons of the annotations overlapping positions from..to, oldest first.
+   * With a column, only whole-row annotations and those on that column count.
+   */
+  reasonsIn(from, to = from, column = null) {
+    return this.items
+      .filter(item => item.from <= to && item.to >= from)
+      .filter(item => column === null || item.column === null || item.column === column)
+      .map(item => item.reason);
+  }
+
+  /**
+   * Mark an element as annotated, with its reasons as the hover text
+   */
+  static mark(el, reasons) {
+    if (reasons.length === 0) return;
+    el.classList.add('annotated');
+    el.title = reasons.join('\n');
+  }
+}
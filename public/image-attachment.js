@@ -0,0 +1,107 @@
+/**
+ * Image Attachment - a screenshot or photo to extract a document from
+ * No build process required
+ *
+ * Used by both editors. The user picks an image file, or pastes one into the
+ * prompt, and the next Generate sends it along so Claude transcribes it:
+ *
+ *   const attachment = new ImageAttachment(fileInput, preview, {
+ *     onChange: () => this.updateButtonLabel()
+ *   });
+ *   attachment.watchPaste(promptInput);
+ *   requestBody.image = attachment.image;  // { media_type, data } or null
+ *
+ * The type and size are checked here so the user hears about them at once;
+ * the worker checks them again before anything reaches the model.
+ */
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+
+class ImageAttachment {
+  constructor(input, preview, { onChange = () => {}, onError = () => {} } = {}) {
+    this.input = input;
+    this.preview = preview;
+    this.onChange = onChange;
+    this.onError = onError;
+    this.image = null; // { media_type, data } - base64 without the data: prefix
+
+    this.input.addEventListener('change', () => {
+      const file = this.input.files[0];
+      this.input.value = ''; // Picking the same file again should still fire
+      if (file) this.attach(file);
+    });
+  }
+
+  /**
+   * Attach an image pasted into `target`, e.g. a screenshot from the clipboard
+   */
+  watchPaste(target) {
+    target.addEventListener('paste', (e) => {
+      const item = [...(e.clipboardData?.items || [])].find(item => item.kind === 'file' && item.type.startsWith('image/'));
+      if (!item) return;
+      e.preventDefault();
+      this.attach(item.getAsFile());
+    });
+  }
+
+  async attach(file) {
+    if (!IMAGE_TYPES.includes(file.type)) {
+      this.onError(`${file.name || 'That file'} is not a PNG, JPEG, GIF or WebP image`);
+      return;
+    }
+    if (file.size > IMAGE_MAX_BYTES) {
+      this.onError(`${file.name || 'The image'} is ${(file.size / 1024 / 1024).toFixed(1)} MB - the limit is 5 MB`);
+      return;
+    }
+
+    let dataUrl;
+    try {
+      dataUrl = await this.read(file);
+    } catch (error) {
+      this.onError(`Could not read ${file.name || 'the image'}: ${error.message}`);
+      return;
+    }
+    this.image = { media_type: file.type, data: dataUrl.slice(dataUrl.indexOf(',') + 1) };
+    this.render(file.name || 'Pasted image', dataUrl);
+    this.onChange();
+  }
+
+  read(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+
+  clear() {
+    if (!this.image) return;
+    this.image = null;
+    this.preview.innerHTML = '';
+    this.preview.classList.add('hidden');
+    this.onChange();
+  }
+
+  render(name, dataUrl) {
+    this.preview.innerHTML = '';
+
+    const thumbnail = document.createElement('img');
+    thumbnail.src = dataUrl;
+    thumbnail.alt = '';
+    this.preview.appendChild(thumbnail);
+
+    const label = document.createElement('span');
+    label.textContent = name;
+    this.preview.appendChild(label);
+
+    const remove = document.createElement('button');
+    remove.className = 'btn btn-outline btn-sm';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => this.clear());
+    this.preview.appendChild(remove);
+
+    this.preview.classList.remove('hidden');
+  }
+}
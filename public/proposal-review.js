@@ -0,0 +1,162 @@
+/**
+ * Proposal Review - accept/reject cards for propose mode edits
+ * No build process required
+ *
+ * Used by both editors. Each proposed edit is shown with Claude's rationale
+ * and an inline diff of the lines it changes. Once every card is decided,
+ * Apply hands the accepted ids to onApply:
+ *
+ *   const review = new ProposalReview(container, {
+ *     onApply: async (transactionId, accepted) => { ... }
+ *   });
+ *   review.show(event.transaction_id, event.proposals);
+ *
+ * If onApply throws, the cards stay up so the user can try again.
+ */
+
+class ProposalReview {
+  constructor(container, { onApply }) {
+    this.container = container;
+    this.onApply = onApply;
+    this.transactionId = null;
+    this.proposals = [];
+    this.decisions = new Map(); // proposal id -> true (accept) / false (reject)
+    this.applying = false;
+  }
+
+  // True while proposals are waiting for a decision
+  get active() {
+    return this.transactionId !== null;
+  }
+
+  show(transactionId, proposals) {
+    this.transactionId = transactionId;
+    this.proposals = proposals;
+    this.decisions = new Map();
+    this.render();
+  }
+
+  clear() {
+    this.transactionId = null;
+    this.proposals = [];
+    this.decisions = new Map();
+    this.container.innerHTML = '';
+    this.container.classList.add('hidden');
+  }
+
+  decide(id, accepted) {
+    this.decisions.set(id, accepted);
+    this.render();
+  }
+
+  decideAll(accepted) {
+    this.proposals.forEach(proposal => this.decisions.set(proposal.id, accepted));
+    this.render();
+  }
+
+  async apply() {
+    if (this.applying || this.decisions.size < this.proposals.length) return;
+    const accepted = this.proposals
+      .filter(proposal => this.decisions.get(proposal.id))
+      .map(proposal => proposal.id);
+
+    this.applying = true;
+    this.render();
+    try {
+      await this.onApply(this.transactionId, accepted);
+      this.clear();
+    } catch (error) {
+      console.error('Applying proposals failed:', error);
+    } finally {
+      this.applying = false;
+      if (this.active) this.render();
+    }
+  }
+
+  render() {
+    const acceptedCount = [...this.decisions.values()].filter(Boolean).length;
+    const undecided = this.proposals.length - this.decisions.size;
+
+    const header = document.createElement('div');
+    header.className = 'proposal-header';
+
+    const title = document.createElement('h4');
+    title.textContent = `Proposed edits (${this.proposals.length})`;
+    header.appendChild(title);
+
+    const actions = document.createElement('div');
+    actions.className = 'proposal-actions';
+    const acceptAll = this.button('Accept all', 'btn-outline', () => this.decideAll(true));
+    const rejectAll = this.button('Reject all', 'btn-outline', () => this.decideAll(false));
+    acceptAll.disabled = rejectAll.disabled = this.applying;
+    actions.appendChild(acceptAll);
+    actions.appendChild(rejectAll);
+    const applyBtn = this.button(
+      this.applying ? 'Applying...' : undecided > 0 ? `${undecided} to review` : `Apply ${acceptedCount} accepted`,
+      'btn-primary',
+      () => this.apply()
+    );
+    applyBtn.disabled = this.applying || undecided > 0;
+    actions.appendChild(applyBtn);
+    header.appendChild(actions);
+
+    this.container.innerHTML = '';
+    this.container.appendChild(header);
+    this.proposals.forEach(proposal => this.container.appendChild(this.renderCard(proposal)));
+    this.container.classList.remove('hidden');
+  }
+
+  renderCard(proposal) {
+    const decision = this.decisions.get(proposal.id);
+    const card = document.createElement('div');
+    card.className = 'proposal-card';
+    if (decision === true) card.classList.add('accepted');
+    if (decision === false) card.classList.add('rejected');
+
+    const title = document.createElement('div');
+    title.className = 'proposal-title';
+    title.textContent = `#${proposal.id} ${proposal.command || proposal.tool} - line ${proposal.diff.line}`;
+    card.appendChild(title);
+
+    if (proposal.rationale) {
+      const rationale = document.createElement('p');
+      rationale.className = 'proposal-rationale';
+      rationale.textContent = proposal.rationale;
+      card.appendChild(rationale);
+    }
+
+    // Removed lines, then the lines that replace them
+    const diff = document.createElement('pre');
+    diff.className = 'proposal-diff';
+    proposal.diff.removed.forEach(line => diff.appendChild(this.diffLine('-', line, 'diff-removed')));
+    proposal.diff.added.forEach(line => diff.appendChild(this.diffLine('+', line, 'diff-added')));
+    card.appendChild(diff);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'proposal-actions';
+    const accept = this.button('Accept', 'btn-outline', () => this.decide(proposal.id, true));
+    const reject = this.button('Reject', 'btn-outline', () => this.decide(proposal.id, false));
+    accept.disabled = this.applying || decision === true;
+    reject.disabled = this.applying || decision === false;
+    buttons.appendChild(accept);
+    buttons.appendChild(reject);
+    card.appendChild(buttons);
+
+    return card;
+  }
+
+  diffLine(marker, text, className) {
+    const line = document.createElement('span');
+    line.className = className;
+    line.textContent = `${marker} ${text}`;
+    return line;
+  }
+
+  button(label, style, onClick) {
+    const button = document.createElement('button');
+    button.className = `btn btn-sm ${style}`;
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Reference List - files attached for Claude to draw on
+ * No build process required
+ *
+ * Used by both editors. The user attaches text, CSV or Markdown files (or
+ * text extracted from a PDF) as source material, e.g. a price list for "fill
+ * the price column from this price list". The worker keeps the list in the
+ * session, so it is only sent again after the user changes it:
+ *
+ *   const references = new ReferenceList(fileInput, list, {
+ *     onError: (message) => this.showError(message)
+ *   });
+ *   const revision = references.revision;
+ *   if (references.unsent) requestBody.references = references.items;  // [{ name, content }]
+ *   references.markSent(revision);               // once the worker took the request
+ *   references.set(session.references);         // after a page reload
+ *
+ * The limits match the worker's defaults; it checks them again.
+ */
+
+const REFERENCE_LIMIT = 3;
+const REFERENCE_MAX_CHARS = 50000;
+
+class ReferenceList {
+  constructor(input, list, { onError = () => {} } = {}) {
+    this.input = input;
+    this.list = list;
+    this.onError = onError;
+    this.items = []; // { name, content }
+    this.revision = 0; // Bumped on every change
+    this.sentRevision = 0; // The revision the worker's session holds, or -1
+
+    this.input.addEventListener('change', () => {
+      const files = [...this.input.files];
+      this.input.value = ''; // Picking the same file again should still fire
+      this.attach(files);
+    });
+  }
+
+  async attach(files) {
+    for (const file of files) {
+      const replacing = this.items.some(item => item.name === file.name);
+      if (!replacing && this.items.length >= REFERENCE_LIMIT) {
+        this.onError(`At most ${REFERENCE_LIMIT} references can be attached - remove one first`);
+        break;
+      }
+
+      let content;
+      try {
+        content = await file.text();
+      } catch (error) {
+        this.onError(`Could not read ${file.name}: ${error.message}`);
+        continue;
+      }
+
+      if (content.includes('\u0000')) {
+        this.onError(`${file.name} is not a text file - for a PDF, attach its extracted text`);
+      } else if (!content.trim()) {
+        this.onError(`${file.name} is empty`);
+      } else if (content.length > REFERENCE_MAX_CHARS) {
+        this.onError(`${file.name} has ${content.length} characters - the limit is ${REFERENCE_MAX_CHARS}`);
+      } else {
+        // A file with the same name replaces the earlier version
+        this.items = [...this.items.filter(item => item.name !== file.name), { name: file.name, content }];
+        this.revision += 1;
+      }
+    }
+    this.render();
+  }
+
+  // The list as the worker has it, e.g. from a restored session
+  set(items) {
+    this.items = (items || []).map(item => ({ name: item.name, content: item.content }));
+    this.revision += 1;
+    this.sentRevision = this.revision;
+    this.render();
+  }
+
+  clear() {
+    this.set([]);
+  }
+
+  remove(name) {
+    this.items = this.items.filter(item => item.name !== name);
+    this.revision += 1;
+    this.render();
+  }
+
+  // True when the worker's session does not have the current list
+  get unsent() {
+    return this.revision !== this.sentRevision;
+  }
+
+  markSent(revision) {
+    this.sentRevision = revision;
+  }
+
+  // The worker lost its copy, e.g. with an expired session
+  markUnsent() {
+    this.sentRevision = -1;
+  }
+
+  render() {
+    this.list.innerHTML = '';
+    this.items.forEach(item => {
+      const entry = document.createElement('li');
+
+      const label = document.createElement('span');
+      label.textContent = item.name;
+      label.title = `${item.content.length} characters`;
+      entry.appendChild(label);
+
+      const remove = document.createElement('button');
+      remove.className = 'btn btn-outline btn-sm';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => this.remove(item.name));
+      entry.appendChild(remove);
+
+      this.list.appendChild(entry);
+    });
+    this.list.classList.toggle('hidden', this.items.length === 0);
+  }
+}
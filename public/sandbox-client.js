@@ -0,0 +1,401 @@
+/**
+ * Sandbox Client - talks to the worker and reads its event stream
+ * No build process required
+ *
+ * Used by both editors; other apps can load it with a <script> tag:
+ *
+ *   const client = new SandboxClient({
+ *     endpoint: 'https://your-worker.workers.dev/api/generate',
+ *     headers: () => ({ Authorization: `Bearer ${token}` })  // optional, read per request
+ *   });
+ *
+ *   const result = await client.send(
+ *     { version: 1, contentType: 'csv', mode: 'update', instruction, document },
+ *     {
+ *       onContentUpdate: (event) => render(event.content),
+ *       onTransactionCommit: (event) => save(event.content),
+ *       onClarificationNeeded: async (event) => { await ask(event.question); return false; }
+ *     },
+ *     { signal: abortController.signal }
+ *   );
+ *
+ * Handlers are named after the event type (content_update -> onContentUpdate)
+ * and get the parsed event. They may be async - events are handled one at a
+ * time, in order. onEvent sees every event, including types this version of
+ * the client does not know. A handler that returns false stops reading the
+ * stream. The event types are described in worker/events.js.
+ *
+ * A dropped connection is resumed automatically: the client asks the worker
+ * for the events after the last one it saw, and keeps asking until the
+ * stream ends. Aborting the signal cancels the stream on the worker as well.
+ *
+ * A response that is not a stream (400, 401, 429, ...) rejects with a
+ * SandboxRequestError.
+ */
+
+const SANDBOX_PROTOCOL_VERSION = 1;
+const RECONNECT_ATTEMPTS = 5;
+const RECONNECT_DELAY_MS = 1000; // Doubles on each attempt
+const RESUME_POLL_MS = 1000; // Between replays of a stream that is still running
+const SESSION_POLL_MS = 2000;
+const SESSION_WAIT_MS = 2 * 60 * 1000; // How long to wait for a lost stream's outcome
+
+// Resolves after ms, or rejects with the signal's reason once it aborts
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * @typedef {Object} StreamHandlers
+ * @property {function({ session_id: string, protocol: number })} [onSession]
+ * @property {function({ text: string })} [onContentDelta] - generated document text
+ * @property {function({ text: string })} [onText] - summary text in update mode
+ * @property {function({ tool: string, tool_use_id: string, input_chars: number })} [onToolComposing]
+ * @property {function({ tool: string, command: string, status: string })} [onToolUse]
+ * @property {function({ transaction_id: string, content: string, edit: ?Object })} [onContentUpdate]
+ * @property {function({ success: boolean, message: string })} [onToolResult]
+ * @property {function({ question: string, why_asking: string, questions: Object[], session_id: string })} [onClarificationNeeded]
+ *           - questions are { id, question, why_asking, options, allow_other }; resume with
+ *           clarification_answer { [id]: answer }
+ * @property {function({ issues: { line: ?number, message: string }[], total_issues: number })} [onValidationWarnings]
+ *           - line is 1-indexed, or null when the problem is not tied to a line
+ * @property {function({ transaction_id: string, content: string })} [onTransactionCommit]
+ * @property {function({ transaction_id: string, reason: string })} [onTransactionRollback]
+ * @property {function({ transaction_id: string, proposals: Object[] })} [onProposals] - propose mode edits
+ *           to review; apply the accepted ones with applyProposals()
+ * @property {function({ error: string, budget: string, retry_after: number })} [onRateLimited]
+ * @property {function({ attempt: number, max_attempts: number, delay_ms: number, status: ?number, reason: string })} [onRetrying]
+ * @property {function({ model: string, turns: number, usage: Object, cost_usd: number })} [onUsage]
+ * @property {function({ error: string, details: ?string })} [onError]
+ * @property {function()} [onDone]
+ * @property {function({ attempt: number, max_attempts: number, delay_ms: number })} [onReconnecting] - the
+ *           connection dropped; sent by the client itself before each attempt to resume the stream
+ * @property {function(Object)} [onEvent] - every event, before its own handler
+ */
+
+/**
+ * A request the worker refused - status is the HTTP status, retryAfter the
+ * seconds to wait after a 429
+ */
+class SandboxRequestError extends Error {
+  constructor(message, status, retryAfter = null) {
+    super(message);
+    this.name = 'SandboxRequestError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+class SandboxClient {
+  constructor({ endpoint, headers } = {}) {
+    this.endpoint = endpoint;
+    this.apiBase = endpoint.replace(/\/generate$/, '');
+    this.headers = headers || (() => ({}));
+  }
+
+  /**
+   * POST a request to /api/generate and feed its events to the handlers.
+   * Resolves with { done, stopped, lost, lastEventId, streamId } once the
+   * stream ends or a handler returns false. A stream that ended without
+   * `done` could not be resumed; lost means the worker no longer has it -
+   * waitForSession() then gives the instruction's outcome.
+   *
+   * @param {Object} body
+   * @param {StreamHandlers} handlers
+   * @param {{ signal?: AbortSignal }} [options]
+   */
+  async send(body, handlers = {}, { signal } = {}) {
+    let response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers() },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await this.requestError(response);
+    }
+
+    const result = { done: false, stopped: false, lost: false, lastEventId: null, streamId: null };
+    let attempt = 0;
+    let replay = false; // response replays the buffer rather than streaming live
+
+    while (true) {
+      let caughtUp = false;
+      try {
+        await this.readEvents(response, handlers, result);
+        if (result.done || result.stopped) return result;
+        if (replay) {
+          // A replay closes once it has sent what the worker buffered
+          if (response.headers.get('X-Stream-State') !== 'running') return result;
+          caughtUp = true;
+        }
+      } catch (error) {
+        if (signal?.aborted) {
+          // Stopped on purpose - the worker should not carry on either
+          if (result.streamId) this.cancel(result.streamId);
+          throw signal.reason || error;
+        }
+        if (!result.streamId) throw error;
+      }
+
+      // The edit is still running - ask again for what came after. A dropped
+      // connection backs off between attempts instead.
+      if (caughtUp) attempt = 0;
+      response = null;
+
+      while (!response && result.streamId) {
+        let delay = RESUME_POLL_MS;
+        if (!caughtUp) {
+          if (attempt >= RECONNECT_ATTEMPTS) return result;
+          attempt += 1;
+          delay = RECONNECT_DELAY_MS * 2 ** (attempt - 1);
+          if (handlers.onReconnecting) {
+            await handlers.onReconnecting({ type: 'reconnecting', attempt, max_attempts: RECONNECT_ATTEMPTS, delay_ms: delay });
+          }
+        }
+        caughtUp = false;
+
+        try {
+          await wait(delay, signal);
+          response = await this.resume(result.streamId, result.lastEventId, signal);
+          if (!response) {
+            // Expired, or buffered by another worker instance
+            result.lost = true;
+            return result;
+          }
+        } catch (error) {
+          if (signal?.aborted) {
+            this.cancel(result.streamId);
+            throw signal.reason || error;
+          }
+          // Still offline - try again
+        }
+      }
+
+      if (!response) return result;
+      replay = true;
+    }
+  }
+
+  /**
+   * Read one response's events into the handlers, keeping track of the last
+   * event id and stream id in result
+   */
+  async readEvents(response, handlers, result) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let pending = { id: null, event: '', data: [] };
+
+    // Returns false when the stream should stop being read
+    const dispatch = async () => {
+      const { id, event, data } = pending;
+      pending = { id: null, event: '', data: [] };
+      if (id !== null) result.lastEventId = id;
+      if (data.length === 0) return true;
+
+      const parsed = this.parseEvent(event, data.join('\n'));
+      if (!parsed) return true;
+      if (parsed.type === 'done') result.done = true;
+      if (parsed.type === 'session') {
+        result.streamId = parsed.stream_id || null;
+        if (parsed.protocol > SANDBOX_PROTOCOL_VERSION) {
+          console.warn(`Worker speaks event protocol ${parsed.protocol}; this client knows ${SANDBOX_PROTOCOL_VERSION}`);
+        }
+      }
+
+      if (handlers.onEvent && await handlers.onEvent(parsed) === false) return false;
+      const handler = handlers[SandboxClient.handlerName(parsed.type)];
+      return !(handler && await handler(parsed) === false);
+    };
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        // A stream cut off mid-event must not dispatch the partial event
+        buffer += done ? '' : decoder.decode(value, { stream: true });
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const rawLine of lines) {
+          const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+
+          if (line === '') {
+            if (!await dispatch()) {
+              // The worker keeps the stream for a while in case we come back
+              result.stopped = true;
+              reader.cancel().catch(() => {});
+              return;
+            }
+            continue;
+          }
+          if (line.startsWith(':')) continue; // Comment
+
+          const colon = line.indexOf(':');
+          const field = colon === -1 ? line : line.slice(0, colon);
+          const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+          if (field === 'event') pending.event = value;
+          else if (field === 'data') pending.data.push(value);
+          else if (field === 'id') pending.id = value;
+        }
+
+        if (done) return;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  /**
+   * Ask for the events of a stream after lastEventId. Resolves with a
+   * response that replays them and closes - its X-Stream-State header says
+   * whether the stream is still running - or null if the worker no longer
+   * has the stream.
+   */
+  async resume(streamId, lastEventId, signal) {
+    const response = await fetch(`${this.apiBase}/stream/${encodeURIComponent(streamId)}`, {
+      headers: { ...this.headers(), ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {}) },
+      signal,
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) throw await this.requestError(response);
+    return response;
+  }
+
+  /**
+   * Ask the worker to stop a stream - fire and forget
+   */
+  cancel(streamId) {
+    fetch(`${this.apiBase}/stream/${encodeURIComponent(streamId)}`, {
+      method: 'DELETE',
+      headers: this.headers()
+    }).catch(() => {});
+  }
+
+  /**
+   * Turn one SSE message into an event object with a type, or null if it
+   * cannot be read. Streams from workers older than protocol 1 have no event
+   * names, so the type comes from the payload.
+   */
+  parseEvent(name, data) {
+    if (data === '[DONE]') return { type: 'done' };
+
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch (e) {
+      console.warn('Failed to parse SSE data:', e);
+      return null;
+    }
+
+    const type = name || parsed.type
+      || (parsed.error ? 'error' : parsed.text !== undefined ? 'content_delta' : 'message');
+    return { ...parsed, type };
+  }
+
+  /**
+   * Fetch a stored session, or null if it expired or never existed
+   */
+  async getSession(sessionId) {
+    const response = await fetch(`${this.apiBase}/session/${encodeURIComponent(sessionId)}`, {
+      headers: this.headers()
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) throw await this.requestError(response);
+    return response.json();
+  }
+
+  /**
+   * Wait for the worker to save the outcome of a stream this client lost.
+   * Resolves with the session once its last_stream_id names the stream, or
+   * null if that does not happen within timeoutMs.
+   */
+  async waitForSession(sessionId, streamId, { signal, timeoutMs = SESSION_WAIT_MS } = {}) {
+    const until = Date.now() + timeoutMs;
+    while (Date.now() < until) {
+      try {
+        const session = await this.getSession(sessionId);
+        if (session?.last_stream_id === streamId) return session;
+      } catch (error) {
+        // Offline for now - keep asking
+      }
+      await wait(SESSION_POLL_MS, signal);
+    }
+    return null;
+  }
+
+  /**
+   * Apply the proposals the user accepted from a propose mode instruction.
+   * Resolves with { content, applied, skipped, history } - skipped lists the
+   * accepted proposals that depended on a rejected one, with the reason.
+   */
+  async applyProposals(sessionId, transactionId, accepted) {
+    const response = await fetch(`${this.apiBase}/session/${encodeURIComponent(sessionId)}/proposals`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers() },
+      body: JSON.stringify({ transaction_id: transactionId, accepted })
+    });
+    if (!response.ok) throw await this.requestError(response);
+    return response.json();
+  }
+
+  /**
+   * Today's token usage and cost, for the calling client and optionally one
+   * session: { date, client, session }
+   */
+  async getUsage(sessionId) {
+    const query = sessionId ? `?session_id=${encodeURIComponent(sessionId)}` : '';
+    const response = await fetch(`${this.apiBase}/usage${query}`, { headers: this.headers() });
+    if (!response.ok) throw await this.requestError(response);
+    return response.json();
+  }
+
+  /**
+   * Build an error from a failed response, including the validation details
+   * the worker returns for 400s
+   */
+  async requestError(response) {
+    let message = `API request failed: ${response.statusText || response.status}`;
+    try {
+      const body = await response.json();
+      if (body.error) {
+        // Rate limit messages already say what happened and when to retry
+        message = response.status === 429 ? body.error : `API request failed: ${body.error}`;
+      }
+      if (response.status === 401) {
+        message += ' - open the sandbox with the access link you were given';
+      }
+      if (Array.isArray(body.details) && body.details.length > 0) {
+        message += ` (${body.details.join('; ')})`;
+      }
+    } catch (e) {
+      // Body was not JSON - keep the status text
+    }
+
+    const retryAfter = response.status === 429
+      ? parseInt(response.headers.get('Retry-After'), 10) || 60
+      : null;
+    return new SandboxRequestError(message, response.status, retryAfter);
+  }
+
+  // content_update -> onContentUpdate
+  static handlerName(type) {
+    return `on${type.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('')}`;
+  }
+}
+
+SandboxClient.PROTOCOL_VERSION = SANDBOX_PROTOCOL_VERSION;
@@ -0,0 +1,846 @@
+/**
+ * Sandbox Editor - what the CSV and Markdown editors have in common
+ * No build process required
+ *
+ * Sending instructions, the event stream, transactions, proposals,
+ * clarifications, sessions, the rate limit countdown and the cost meter work
+ * the same for every content type. An editor extends this class, looks up its
+ * extra elements and draws its own view of the document:
+ *
+ *   class CSVEditor extends SandboxEditor {
+ *     constructor() {
+ *       super('csv', { extractPrompt: 'Extract the table in this image.' });
+ *       this.elements.tableContainer = document.getElementById('csv-table-container');
+ *       this.init();
+ *     }
+ *     render() { ... }  // redraw from this.elements.textArea.value
+ *   }
+ *
+ * Elements are looked up by id with the content type as prefix (csv-prompt,
+ * csv-generate, ...), and `.csv-example` buttons fill in the prompt.
+ * Subclasses may also override recordAnnotation() and visualizeEdit() for
+ * edits only their content type has.
+ */
+
+class SandboxEditor {
+  constructor(contentType, { extractPrompt }) {
+    this.contentType = contentType;
+    this.extractPrompt = extractPrompt; // Instruction for an image sent without one
+
+    // Worker endpoint - change this to your deployed worker URL
+    this.workerEndpoint = 'https://ai-sandbox-worker.foray-consulting.workers.dev/api/generate';
+    this.client = new SandboxClient({
+      endpoint: this.workerEndpoint,
+      headers: () => this.authHeaders()
+    });
+
+    // DOM Elements
+    const byId = (name) => document.getElementById(`${contentType}-${name}`);
+    this.elements = {
+      prompt: byId('prompt'),
+      generateBtn: byId('generate'),
+      stopBtn: byId('stop'),
+      clearBtn: byId('clear'),
+      textArea: byId('text'),
+      streamingStatus: byId('streaming-status'),
+      keepPartial: byId('keep-partial'),
+      propose: byId('propose'),
+      image: byId('image'),
+      imagePreview: byId('image-preview'),
+      referenceInput: byId('reference-input'),
+      references: byId('references'),
+      proposals: byId('proposals'),
+      usage: byId('usage'),
+      error: byId('error'),
+    };
+
+    // State
+    this.isStreaming = false;
+    this.abortController = null;
+    this.conversationHistory = []; // Full conversation for iterative updates
+    this.transaction = null; // Open AI edit: { id, snapshot, changed }
+    this.cooldownTimer = null; // Rate limit countdown on the Generate button
+    this.usageTotals = this.emptyUsageTotals(); // Today's spend for this session
+    this.sessionKey = `ai-sandbox:${contentType}:session`;
+    this.sessionId = localStorage.getItem(this.sessionKey); // Worker-side session
+    // Propose mode edits waiting for the user to accept or reject them
+    this.review = new ProposalReview(this.elements.proposals, {
+      onApply: (transactionId, accepted) => this.applyProposals(transactionId, accepted)
+    });
+    this.clarification = new ClarificationModal(document.getElementById('clarification-modal'));
+    this.annotations = new EditAnnotations();
+    // Screenshot or photo to extract a document from on the next Generate
+    this.attachment = new ImageAttachment(this.elements.image, this.elements.imagePreview, {
+      onChange: () => this.updateButtonLabel(),
+      onError: (message) => this.showError(message)
+    });
+    // Files attached as source material, kept in the worker's session
+    this.references = new ReferenceList(this.elements.referenceInput, this.elements.references, {
+      onError: (message) => this.showError(message)
+    });
+  }
+
+  // Get current mode based on content - an attached image is always extracted
+  // into a new document
+  get mode() {
+    if (this.attachment.image) return 'generate';
+    return this.elements.textArea.value.trim() ? 'update' : 'generate';
+  }
+
+  // Update button label based on mode
+  updateButtonLabel() {
+    if (this.cooldownTimer) return; // Showing the rate limit countdown
+    const label = this.attachment.image ? 'Extract' : this.mode === 'generate' ? 'Generate' : 'Update';
+    this.elements.generateBtn.textContent = label;
+  }
+
+  /**
+   * Redraw the view of the document from the textarea - implemented by each
+   * editor
+   */
+  render() {}
+
+  init() {
+    // Event listeners
+    this.elements.generateBtn.addEventListener('click', () => this.generate());
+    this.elements.stopBtn.addEventListener('click', () => this.stopStreaming());
+    this.elements.clearBtn.addEventListener('click', () => this.clear());
+    this.elements.textArea.addEventListener('input', () => {
+      // Hand edits can move anything - the reasons no longer line up
+      this.annotations.clear();
+      this.render();
+      this.updateButtonLabel();
+    });
+    this.elements.prompt.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') this.generate();
+    });
+    this.attachment.watchPaste(this.elements.prompt);
+
+    // Example buttons
+    document.querySelectorAll(`.${this.contentType}-example`).forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.elements.prompt.value = btn.textContent;
+        this.generate();
+      });
+    });
+
+    // Initialize button label
+    this.updateButtonLabel();
+
+    // Pick up where the last visit left off
+    this.restoreSession();
+  }
+
+  async generate() {
+    const prompt = this.elements.prompt.value.trim();
+    const image = this.attachment.image;
+    if ((!prompt && !image) || this.isStreaming || this.cooldownTimer) return;
+    if (this.review.active) {
+      this.showError('Accept or reject the proposed edits before giving another instruction');
+      return;
+    }
+
+    this.isStreaming = true;
+    this.elements.generateBtn.disabled = true;
+    this.elements.stopBtn.classList.remove('hidden');
+    this.elements.streamingStatus.classList.remove('hidden');
+    this.elements.textArea.disabled = true;
+    this.elements.error.classList.add('hidden');
+    this.annotations.clear();
+    this.render();
+
+    // Store current content for context
+    // With review on, updates come back as proposals instead of edits
+    const mode = this.mode === 'update' && this.elements.propose.checked ? 'propose' : this.mode;
+    const currentContent = this.elements.textArea.value.trim();
+
+    // Build the structured request before this instruction joins the history.
+    // The session keeps the references, so they are only sent after a change.
+    const referencesRevision = this.references.revision;
+    const sendReferences = this.references.unsent || !this.sessionId;
+    const requestBody = {
+      version: 1,
+      contentType: this.contentType,
+      mode,
+      instruction: prompt,
+      document: mode === 'generate' ? '' : currentContent,
+      history: this.conversationHistory.slice(),
+      session_id: this.sessionId || undefined,
+      image: image || undefined,
+      references: sendReferences ? this.references.items : undefined
+    };
+
+    if (mode === 'generate') {
+      // Clear textarea for new generation
+      this.elements.textArea.value = '';
+    } else {
+      // All edits for this instruction are kept or reverted together
+      this.beginTransaction();
+    }
+
+    // Add user message to conversation history
+    this.conversationHistory.push({
+      role: 'user',
+      content: image ? `${prompt || this.extractPrompt} (from an uploaded image)` : prompt
+    });
+
+    this.abortController = new AbortController();
+    const stream = { response: '', rolledBack: false };
+
+    try {
+      const result = await this.client.send(requestBody, this.streamHandlers(stream), {
+        signal: this.abortController.signal
+      });
+      if (sendReferences) {
+        this.references.markSent(referencesRevision);
+      } else if (this.sessionId !== requestBody.session_id) {
+        // The old session expired - the new one starts without references
+        this.references.markUnsent();
+      }
+      // A clarification took over - the modal resumes the conversation
+      if (result.stopped) return;
+      // The events are gone - the session has the outcome
+      if (result.lost && await this.recoverLostStream(result.streamId)) return;
+
+      this.finishStream(stream);
+    } catch (error) {
+      if (error.retryAfter) {
+        this.showRateLimit(error.message, error.retryAfter);
+      } else if (error.name !== 'AbortError') {
+        console.error('Generation error:', error);
+        // Only a request that never reached the worker points at the deployment
+        this.showError(error.status
+          ? `Error: ${error.message}`
+          : `Error: ${error.message}. Make sure the worker is deployed and ANTHROPIC_API_KEY is set.`);
+      }
+      this.rollbackTransaction(error.name === 'AbortError' ? 'Stopped' : 'The edit failed');
+      // An extraction replaced the document - bring it back
+      if (image && currentContent && !this.elements.keepPartial?.checked) {
+        this.elements.textArea.value = currentContent;
+        this.render();
+      }
+      // Remove the user message from history if request failed
+      this.conversationHistory.pop();
+    } finally {
+      this.attachment.clear();
+      this.isStreaming = false;
+      this.elements.generateBtn.disabled = false;
+      this.elements.stopBtn.classList.add('hidden');
+      this.elements.streamingStatus.classList.add('hidden');
+      this.elements.textArea.disabled = this.review.active;
+      this.elements.prompt.value = '';
+      this.updateButtonLabel();
+    }
+  }
+
+  stopStreaming() {
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+  }
+
+  clear() {
+    this.review.clear();
+    this.annotations.clear();
+    this.references.clear();
+    this.elements.textArea.value = '';
+    this.elements.textArea.disabled = false;
+    this.conversationHistory = [];
+    this.setSession(null);
+    this.usageTotals = this.emptyUsageTotals();
+    this.elements.usage.classList.add('hidden');
+    this.render();
+    this.updateButtonLabel();
+  }
+
+  emptyUsageTotals() {
+    return {
+      requests: 0,
+      input_tokens: 0,
+      output_tokens: 0,
+      cache_creation_input_tokens: 0,
+      cache_read_input_tokens: 0,
+      cost_usd: 0
+    };
+  }
+
+  /**
+   * Add a request's usage event to the cost meter
+   */
+  recordUsage(event) {
+    const totals = this.usageTotals;
+    totals.requests += 1;
+    totals.cost_usd += event.cost_usd;
+    for (const field of ['input_tokens', 'output_tokens', 'cache_creation_input_tokens', 'cache_read_input_tokens']) {
+      totals[field] += event.usage[field] || 0;
+    }
+    this.renderUsage(event);
+  }
+
+  /**
+   * Seed the cost meter with what this session already spent today
+   */
+  async loadUsage() {
+    try {
+      const { session } = await this.client.getUsage(this.sessionId);
+      if (session?.requests) {
+        this.usageTotals = { ...this.emptyUsageTotals(), ...session };
+        this.renderUsage(null);
+      }
+    } catch (error) {
+      console.warn('Could not load usage:', error);
+    }
+  }
+
+  /**
+   * Show the last request's cost, today's total, and how much of the prompt
+   * came from the cache
+   */
+  renderUsage(last) {
+    const totals = this.usageTotals;
+    const promptTokens = totals.input_tokens + totals.cache_creation_input_tokens + totals.cache_read_input_tokens;
+    const cachedPercent = promptTokens ? Math.round((totals.cache_read_input_tokens / promptTokens) * 100) : 0;
+
+    const parts = [];
+    if (last) {
+      const lastPrompt = last.usage.input_tokens + last.usage.cache_creation_input_tokens + last.usage.cache_read_input_tokens;
+      parts.push(`Last: $${last.cost_usd.toFixed(4)} (${lastPrompt.toLocaleString()} in, ${last.usage.output_tokens.toLocaleString()} out)`);
+    }
+    parts.push(`Today: $${totals.cost_usd.toFixed(4)} over ${totals.requests} request${totals.requests === 1 ? '' : 's'}`);
+    parts.push(`${cachedPercent}% of prompt tokens cached`);
+
+    this.elements.usage.textContent = parts.join(' · ');
+    this.elements.usage.classList.remove('hidden');
+  }
+
+  /**
+   * Authorization header for workers that require a token (saved by app.js)
+   */
+  authHeaders() {
+    const token = localStorage.getItem('ai-sandbox:auth-token');
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  /**
+   * Remember the worker-side session across page reloads
+   */
+  setSession(sessionId) {
+    this.sessionId = sessionId || null;
+    if (this.sessionId) {
+      localStorage.setItem(this.sessionKey, this.sessionId);
+    } else {
+      localStorage.removeItem(this.sessionKey);
+    }
+  }
+
+  /**
+   * Reload the document and conversation kept by the worker, re-asking any
+   * question that was still waiting for an answer
+   */
+  async restoreSession() {
+    if (!this.sessionId) return;
+
+    try {
+      const session = await this.client.getSession(this.sessionId);
+      if (!session) {
+        // Expired or unknown - the next request starts a new session
+        this.setSession(null);
+        return;
+      }
+
+      this.loadUsage();
+
+      // Don't overwrite anything typed while the session was loading
+      if (this.isStreaming || this.elements.textArea.value.trim()) return;
+
+      await this.showSession(session);
+    } catch (error) {
+      console.warn('Could not restore session:', error);
+    }
+  }
+
+  /**
+   * Put a session kept by the worker into the editor, with its proposals and
+   * any question that is still waiting for an answer
+   */
+  async showSession(session) {
+    this.elements.textArea.value = session.document;
+    this.conversationHistory = session.history;
+    this.references.set(session.references);
+    this.render();
+    this.updateButtonLabel();
+
+    if (session.proposal) {
+      // Proposals from the last visit are still waiting for review
+      this.elements.textArea.disabled = true;
+      this.review.show(session.proposal.transaction_id, session.proposal.proposals);
+    }
+
+    if (session.pending) {
+      // The paused instruction is still open - its edits revert on cancel
+      this.conversationHistory.push({ role: 'user', content: session.pending.instruction });
+      this.transaction = {
+        snapshot: session.pending.original_document,
+        changed: true
+      };
+      await this.showClarificationModal(session.pending.questions);
+    }
+  }
+
+  /**
+   * The worker no longer has the stream (it expired, or another worker
+   * instance holds it) - wait for the session to record how the instruction
+   * ended and show that. Returns false if it never does.
+   */
+  async recoverLostStream(streamId) {
+    this.updateStatus('Connection lost - waiting for the edit to finish...');
+    const session = await this.client.waitForSession(this.sessionId, streamId, {
+      signal: this.abortController.signal
+    });
+    if (!session) return false;
+
+    this.transaction = null;
+    this.annotations.clear();
+    this.showError('The connection was lost - showing the document as the worker saved it.');
+    await this.showSession(session);
+    return true;
+  }
+
+  /**
+   * Start tracking an AI edit so it can be reverted as a whole
+   */
+  beginTransaction() {
+    this.transaction = {
+      snapshot: this.elements.textArea.value,
+      changed: false
+    };
+  }
+
+  /**
+   * Keep the edits of the open transaction
+   */
+  commitTransaction(content) {
+    const transaction = this.transaction;
+    this.transaction = null;
+
+    // Make sure the editor matches the document the worker committed
+    if (transaction?.changed && typeof content === 'string' && this.elements.textArea.value !== content) {
+      this.elements.textArea.value = content;
+      this.render();
+    }
+  }
+
+  /**
+   * Revert the edits of the open transaction, unless the user chose to keep
+   * partial edits
+   */
+  rollbackTransaction(reason) {
+    const transaction = this.transaction;
+    this.transaction = null;
+    if (!transaction || !transaction.changed) return;
+
+    if (this.elements.keepPartial?.checked) {
+      this.showError(`${reason}. Partial edits were kept.`);
+      return;
+    }
+
+    this.elements.textArea.value = transaction.snapshot;
+    this.annotations.clear();
+    this.render();
+    this.showError(`${reason}. All edits from this instruction were reverted.`);
+  }
+
+  describeRollback(reason) {
+    const reasons = {
+      api_error: 'The AI request failed',
+      max_iterations: 'Claude reached the edit limit before finishing',
+      rate_limited: 'Rate limit reached',
+      error: 'The edit failed'
+    };
+    return reasons[reason] || 'The edit did not finish';
+  }
+
+  /**
+   * Handlers for the worker's stream events, shared by generate() and
+   * resumeWithClarification(). The summary text and whether the edit was
+   * rolled back are collected in `stream`.
+   */
+  streamHandlers(stream) {
+    return {
+      // Worker-side session holding this document
+      onSession: (event) => this.setSession(event.session_id),
+
+      onClarificationNeeded: async (event) => {
+        // Claude needs clarification - the modal handles resumption, so stop
+        // reading this stream
+        await this.showClarificationModal(event.questions);
+        return false;
+      },
+
+      onToolComposing: (event) => {
+        // Claude is still writing the tool input
+        this.updateStatus(this.describeComposing(event));
+        this.highlightTextarea('editing');
+      },
+
+      onToolUse: (event) => {
+        this.updateStatus(`${event.command?.startsWith('view') ? 'Viewing' : 'Editing'} content...`);
+        this.highlightTextarea('editing');
+      },
+
+      onContentUpdate: async (event) => {
+        // Content has been updated by an edit - visualize the change
+        if (this.transaction) this.transaction.changed = true;
+        if (event.edit) this.recordAnnotation(event.edit);
+        await this.visualizeEdit(event.content, event.edit);
+      },
+
+      // All edits succeeded - keep them
+      onTransactionCommit: (event) => this.commitTransaction(event.content),
+
+      onProposals: (event) => {
+        // Nothing was applied - the document stays as it is until the user
+        // has gone through the proposals
+        this.transaction = null;
+        this.updateStatus(`${event.proposals.length} edit${event.proposals.length === 1 ? '' : 's'} proposed - review them below`);
+        this.review.show(event.transaction_id, event.proposals);
+      },
+
+      onTransactionRollback: (event) => {
+        // The edit did not finish - revert the batch
+        stream.rolledBack = true;
+        this.rollbackTransaction(this.describeRollback(event.reason));
+      },
+
+      onToolResult: (event) => {
+        if (event.success) {
+          this.updateStatus(event.message || 'Edit applied');
+        } else {
+          this.showError(`Edit failed: ${event.message}`);
+        }
+      },
+
+      // Structural problems Claude left in the document
+      onValidationWarnings: (event) => this.showValidationWarnings(event.issues, event.total_issues),
+
+      // Tokens and estimated cost of this request
+      onUsage: (event) => this.recordUsage(event),
+
+      // Out of budget part-way through - the edit is rolled back next
+      onRateLimited: (event) => this.showRateLimit(event.error, event.retry_after),
+
+      onRetrying: (event) => {
+        // The model is busy - the worker waits and tries this turn again
+        const seconds = Math.ceil(event.delay_ms / 1000);
+        this.updateStatus(`Model busy (${event.reason}), retrying in ${seconds}s (attempt ${event.attempt} of ${event.max_attempts})...`);
+      },
+
+      onReconnecting: (event) => {
+        // The connection dropped - the client resumes the stream where it left off
+        this.updateStatus(`Connection lost, reconnecting (attempt ${event.attempt} of ${event.max_attempts})...`);
+      },
+
+      onText: (event) => {
+        // Summary text from Claude, streamed as it is written
+        stream.response += event.text;
+        this.updateStatus(stream.response);
+      },
+
+      onContentDelta: (event) => {
+        // Generated document, streamed straight into the editor
+        stream.response += event.text;
+        this.elements.textArea.value += event.text;
+        this.render();
+      },
+
+      onError: (event) => this.showError(event.error)
+    };
+  }
+
+  /**
+   * Settle the instruction once its stream has ended
+   */
+  finishStream(stream) {
+    // Stream ended without a commit - treat the edit as incomplete
+    if (this.transaction) {
+      stream.rolledBack = true;
+      this.rollbackTransaction('The connection closed before the edit finished');
+    }
+
+    if (stream.rolledBack) {
+      // Remove the user message from history - the instruction did not happen
+      this.conversationHistory.pop();
+    } else if (stream.response) {
+      // Add assistant response to conversation history
+      this.conversationHistory.push({
+        role: 'assistant',
+        content: stream.response
+      });
+    }
+  }
+
+  /**
+   * Apply the accepted proposals on the worker and show the resulting
+   * document. Throws to keep the cards up when the request failed.
+   */
+  async applyProposals(transactionId, accepted) {
+    let result;
+    try {
+      result = await this.client.applyProposals(this.sessionId, transactionId, accepted);
+    } catch (error) {
+      this.showError(`Error: ${error.message}`);
+      // 409: the proposals were already applied or replaced - drop the cards
+      if (error.status !== 409) throw error;
+      this.elements.textArea.disabled = false;
+      return;
+    }
+
+    this.elements.textArea.value = result.content;
+    this.elements.textArea.disabled = false;
+    this.conversationHistory = result.history;
+    this.render();
+    this.updateButtonLabel();
+
+    if (result.skipped.length > 0) {
+      const reasons = result.skipped.map(skip => `#${skip.id}: ${skip.reason}`).join('; ');
+      this.showError(`${result.skipped.length} accepted edit${result.skipped.length === 1 ? '' : 's'} could not be applied (${reasons})`);
+    }
+  }
+
+  /**
+   * Explain a rate limit and hold the Generate button until it resets
+   */
+  showRateLimit(message, retryAfter) {
+    this.showError(message);
+    clearInterval(this.cooldownTimer);
+    const until = Date.now() + retryAfter * 1000;
+
+    const tick = () => {
+      const remaining = Math.ceil((until - Date.now()) / 1000);
+      if (remaining <= 0) {
+        clearInterval(this.cooldownTimer);
+        this.cooldownTimer = null;
+        this.elements.generateBtn.disabled = this.isStreaming;
+        this.updateButtonLabel();
+        return;
+      }
+      this.elements.generateBtn.disabled = true;
+      this.elements.generateBtn.textContent = `Wait ${remaining}s`;
+    };
+
+    this.cooldownTimer = setInterval(tick, 1000);
+    tick();
+  }
+
+  updateStatus(message) {
+    this.elements.streamingStatus.textContent = message;
+  }
+
+  /**
+   * Status line for a tool call Claude is still composing
+   */
+  describeComposing(event) {
+    const action = event.tool === 'ask_user' ? 'Writing a question' : 'Composing edit';
+    return event.input_chars ? `${action}... (${event.input_chars} chars)` : `${action}...`;
+  }
+
+  highlightTextarea(type) {
+    const textarea = this.elements.textArea;
+    textarea.classList.remove('highlight-editing', 'highlight-success');
+
+    if (type === 'editing') {
+      textarea.classList.add('highlight-editing');
+    } else if (type === 'success') {
+      textarea.classList.add('highlight-success');
+      setTimeout(() => textarea.classList.remove('highlight-success'), 500);
+    }
+  }
+
+  /**
+   * Keep Claude's reason for an edit next to the lines it changed
+   */
+  recordAnnotation(edit) {
+    this.annotations.recordTextEdit(edit);
+  }
+
+  /**
+   * Visualize an edit with smooth animations
+   * Shows WHERE and WHAT changed in the textarea
+   */
+  async visualizeEdit(newContent, editMetadata) {
+    const textarea = this.elements.textArea;
+
+    if (!editMetadata) {
+      // No metadata - just update content
+      textarea.value = newContent;
+      this.render();
+      this.highlightTextarea('success');
+      return;
+    }
+
+    if (editMetadata.type === 'replace_all') {
+      // Changed in several places at once - show the first of them
+      textarea.value = newContent;
+      this.scrollToSelection(textarea, editMetadata.start_pos);
+      this.render();
+      this.highlightTextarea('success');
+      return;
+    }
+
+    // STEP 1: Scroll to and select the text being edited
+    textarea.setSelectionRange(editMetadata.start_pos, editMetadata.end_pos);
+    textarea.focus();
+
+    // Scroll to the selection
+    this.scrollToSelection(textarea, editMetadata.start_pos);
+
+    // STEP 2: Apply the edit - just do it directly without color effects
+    // For small edits, show character-by-character typing
+    if (editMetadata.new_text.length > 0 && editMetadata.new_text.length < 50) {
+      await this.animateTyping(textarea, newContent, editMetadata);
+    } else {
+      // For large edits or deletions, just replace instantly
+      await this.sleep(300); // Small pause to let user see selection
+      textarea.value = newContent;
+    }
+
+    // Update the rendered view
+    this.render();
+  }
+
+  /**
+   * Scroll textarea to show the edited position
+   */
+  scrollToSelection(textarea, charPosition) {
+    // Get the text before the edit position
+    const textBefore = textarea.value.substring(0, charPosition);
+    const lines = textBefore.split('\n');
+    this.scrollToLine(textarea, lines.length);
+  }
+
+  /**
+   * Scroll textarea so the given line is roughly centered
+   */
+  scrollToLine(textarea, lineNumber) {
+    // Estimate scroll position (approximate)
+    const lineHeight = 20; // pixels per line (match CSS)
+    const targetScroll = (lineNumber - 5) * lineHeight; // Center in view
+
+    textarea.scrollTop = Math.max(0, targetScroll);
+  }
+
+  /**
+   * Animate typing effect for small edits
+   */
+  async animateTyping(textarea, finalContent, editMetadata) {
+    const oldContent = textarea.value;
+    const newText = editMetadata.new_text;
+
+    // Build content incrementally
+    for (let i = 0; i <= newText.length; i++) {
+      const partialNew = newText.substring(0, i);
+      const before = oldContent.substring(0, editMetadata.start_pos);
+      const after = oldContent.substring(editMetadata.end_pos);
+
+      textarea.value = before + partialNew + after;
+
+      // Update cursor position
+      const cursorPos = editMetadata.start_pos + i;
+      textarea.setSelectionRange(cursorPos, cursorPos);
+
+      await this.sleep(30); // 30ms per character
+    }
+
+    // Set final content to be sure
+    textarea.value = finalContent;
+  }
+
+  /**
+   * Sleep utility for animations
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  showError(message) {
+    this.elements.error.textContent = message;
+    this.elements.error.classList.remove('hidden', 'warning');
+  }
+
+  /**
+   * Show validation problems left in the document after an AI edit
+   */
+  showValidationWarnings(issues, totalIssues) {
+    const list = issues.map(issue => `• ${issue.message}`).join('\n');
+    const more = totalIssues > issues.length ? `\n…and ${totalIssues - issues.length} more` : '';
+    this.elements.error.textContent = `Check the document - ${totalIssues} problem${totalIssues === 1 ? '' : 's'} remain after this edit:\n${list}${more}`;
+    this.elements.error.classList.remove('hidden');
+    this.elements.error.classList.add('warning');
+  }
+
+  /**
+   * Show clarification modal when Claude needs more information
+   */
+  async showClarificationModal(questions) {
+    const answers = await this.clarification.ask(questions);
+    if (!answers) {
+      // Edits made before the question are part of the abandoned instruction
+      this.rollbackTransaction('Clarification cancelled');
+      this.conversationHistory.pop();
+      return;
+    }
+
+    // Resume conversation with the answers, keyed by question id
+    await this.resumeWithClarification(answers);
+  }
+
+  /**
+   * Resume conversation after receiving clarification from user
+   */
+  async resumeWithClarification(clarificationAnswer) {
+    // Re-enable streaming UI
+    this.isStreaming = true;
+    this.elements.generateBtn.disabled = true;
+    this.elements.stopBtn.classList.remove('hidden');
+    this.elements.streamingStatus.classList.remove('hidden');
+    this.elements.textArea.disabled = true;
+    this.updateStatus('Resuming with your answer...');
+
+    this.abortController = new AbortController();
+    const stream = { response: '', rolledBack: false };
+
+    try {
+      const result = await this.client.send({
+        version: 1,
+        contentType: this.contentType,
+        mode: 'update',
+        session_id: this.sessionId,
+        clarification_answer: clarificationAnswer
+      }, this.streamHandlers(stream), {
+        signal: this.abortController.signal
+      });
+      // Nested clarification - Claude asked another question
+      if (result.stopped) return;
+      // The events are gone - the session has the outcome
+      if (result.lost && await this.recoverLostStream(result.streamId)) return;
+
+      this.finishStream(stream);
+    } catch (error) {
+      if (error.retryAfter) {
+        this.showRateLimit(error.message, error.retryAfter);
+      } else if (error.name !== 'AbortError') {
+        console.error('Resume error:', error);
+        this.showError(`Error: ${error.message}`);
+      }
+      this.rollbackTransaction(error.name === 'AbortError' ? 'Stopped' : 'The edit failed');
+      this.conversationHistory.pop();
+    } finally {
+      this.isStreaming = false;
+      this.elements.generateBtn.disabled = false;
+      this.elements.stopBtn.classList.add('hidden');
+      this.elements.streamingStatus.classList.add('hidden');
+      this.elements.textArea.disabled = this.review.active;
+      this.updateButtonLabel();
+    }
+  }
+}
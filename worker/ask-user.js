@@ -0,0 +1,166 @@
+/**
+ * ask_user - clarifying questions that pause the tool loop
+ *
+ * Claude can ask one free-text question, offer answers to pick from, or ask
+ * several related questions in a single pause:
+ *
+ *   { question: 'Which price?', options: ['Retail', 'Wholesale'], allow_other: false }
+ *   { questions: [{ id: 'year', question: 'Which year?', options: ['2023', '2024'] },
+ *                 { id: 'currency', question: 'Which currency?' }] }
+ *
+ * questionsFrom() turns either shape into a list of questions for the
+ * clarification_needed event:
+ *
+ *   { id, question, why_asking, options: [string], allow_other }
+ *
+ * The user answers with an object keyed by question id, or a plain string when
+ * there is only one question. resolveAnswers() checks the answers against the
+ * questions and returns them as the structured tool_result Claude resumes with:
+ *
+ *   { id, question, answer, choice }   // choice: 'option' | 'other' | 'text'
+ */
+
+const MAX_QUESTIONS = 4;
+const MAX_OPTIONS = 6;
+
+const OPTION_SCHEMA = {
+  type: "array",
+  items: { type: "string" },
+  description: `Likely answers for the user to pick from (at most ${MAX_OPTIONS}). Omit for a free-text question.`
+};
+
+const ALLOW_OTHER_SCHEMA = {
+  type: "boolean",
+  description: "With options, whether the user may type their own answer instead (default true)"
+};
+
+// Ask user tool - allows Claude to request clarification when UTTERLY NECESSARY
+export const ASK_USER_TOOL = {
+  name: "ask_user",
+  description: "Ask the user a clarifying question when you genuinely need more information to complete the edit. ONLY use this if the instruction is truly ambiguous and you cannot make a reasonable creative decision. Prefer autonomous creative edits when possible - only ask if UTTERLY NECESSARY. When the likely answers are known, offer them as options. If you need several things, ask them together with 'questions' rather than one at a time.",
+  input_schema: {
+    type: "object",
+    properties: {
+      question: {
+        type: "string",
+        description: "A single, specific clarifying question (keep it concise - one sentence max)"
+      },
+      why_asking: {
+        type: "string",
+        description: "Brief explanation of why you need this information (helps the user understand the context)"
+      },
+      options: OPTION_SCHEMA,
+      allow_other: ALLOW_OTHER_SCHEMA,
+      questions: {
+        type: "array",
+        description: `Several questions to ask in one pause (at most ${MAX_QUESTIONS}), instead of question. Answers come back keyed by id.`,
+        items: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              description: "Short identifier for the answer, e.g. 'year'"
+            },
+            question: { type: "string" },
+            why_asking: { type: "string" },
+            options: OPTION_SCHEMA,
+            allow_other: ALLOW_OTHER_SCHEMA
+          },
+          required: ["question"]
+        }
+      }
+    }
+  }
+};
+
+const nonEmpty = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * The questions in an ask_user input, normalized. Sessions paused before
+ * questions existed only have { question, why_asking }, which reads the same.
+ * Returns an empty list if there is nothing to ask.
+ */
+export function questionsFrom(input) {
+  const asked = Array.isArray(input?.questions) && input.questions.length > 0
+    ? input.questions
+    : [input];
+  const ids = new Set();
+
+  return asked
+    .filter(item => item && nonEmpty(item.question))
+    .slice(0, MAX_QUESTIONS)
+    .map((item, idx) => {
+      let id = nonEmpty(item.id) ? item.id.trim() : `q${idx + 1}`;
+      if (ids.has(id)) id = `q${idx + 1}`;
+      ids.add(id);
+
+      const options = Array.isArray(item.options)
+        ? [...new Set(item.options.filter(nonEmpty).map(option => option.trim()))].slice(0, MAX_OPTIONS)
+        : [];
+
+      return {
+        id,
+        question: item.question.trim(),
+        why_asking: nonEmpty(item.why_asking) ? item.why_asking.trim() : '',
+        options,
+        // Without options the answer is always the user's own words
+        allow_other: options.length === 0 || item.allow_other !== false
+      };
+    });
+}
+
+/**
+ * Match the user's answer to the questions asked.
+ * Returns { answers } or { error } describing what is missing or invalid.
+ */
+export function resolveAnswers(questions, answer) {
+  let byId = answer;
+  if (typeof answer === 'string') {
+    if (questions.length !== 1) {
+      return { error: `clarification_answer must be an object with an answer for each of: ${questions.map(q => q.id).join(', ')}` };
+    }
+    byId = { [questions[0].id]: answer };
+  }
+
+  const answers = [];
+  for (const question of questions) {
+    const given = byId[question.id];
+    if (!nonEmpty(given)) {
+      return { error: `No answer for question "${question.id}"` };
+    }
+
+    const text = given.trim();
+    const option = question.options.find(opt => opt.toLowerCase() === text.toLowerCase());
+    if (question.options.length > 0 && !option && !question.allow_other) {
+      return { error: `The answer to "${question.id}" must be one of: ${question.options.join(', ')}` };
+    }
+
+    answers.push({
+      id: question.id,
+      question: question.question,
+      answer: option || text,
+      choice: option ? 'option' : question.options.length > 0 ? 'other' : 'text'
+    });
+  }
+
+  return { answers };
+}
+
+/**
+ * The tool_result content for the answered ask_user call
+ */
+export function answerResult(answers) {
+  if (answers.length === 1) {
+    return {
+      success: true,
+      answers,
+      answer: answers[0].answer,
+      message: `User provided clarification: "${answers[0].answer}"`
+    };
+  }
+  return {
+    success: true,
+    answers,
+    message: `User answered ${answers.length} questions: ${answers.map(a => `${a.id}: "${a.answer}"`).join('; ')}`
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * Access control - origin allowlist and optional bearer authentication
+ *
+ * ALLOWED_ORIGINS   comma-separated origins allowed to call the API from a
+ *                   browser (e.g. "https://sandbox.example.com"). Unset means
+ *                   any origin, which is only suitable for local development.
+ * AUTH_TOKENS       comma-separated static bearer tokens.
+ * AUTH_SECRET       HMAC key for signed session tokens (see signSessionToken).
+ *
+ * Authentication is off unless AUTH_TOKENS or AUTH_SECRET is set. With both
+ * set, either kind of token is accepted.
+ */
+
+const encoder = new TextEncoder();
+
+function listFromEnv(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function base64url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// Compare without leaking how many leading characters matched
+function timingSafeEqual(a, b) {
+  const left = encoder.encode(a);
+  const right = encoder.encode(b);
+  let diff = left.length ^ right.length;
+  for (let i = 0; i < left.length; i++) {
+    diff |= left[i] ^ (right[i % right.length] || 0);
+  }
+  return diff === 0;
+}
+
+async function hmac(secret, payload) {
+  const key = await crypto.subtle.importKey(
+    'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  return base64url(new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(payload))));
+}
+
+/**
+ * CORS headers for this request. Returns null when the request comes from a
+ * browser origin that is not on the allowlist.
+ */
+export function corsHeaders(request, env) {
+  const allowed = listFromEnv(env.ALLOWED_ORIGINS);
+  if (allowed.length === 0) {
+    return { 'Access-Control-Allow-Origin': '*' };
+  }
+
+  const origin = request.headers.get('Origin');
+  if (!origin) {
+    // Not a cross-origin browser request (curl, server-to-server)
+    return { 'Vary': 'Origin' };
+  }
+  if (!allowed.includes(origin)) {
+    return null;
+  }
+  return { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' };
+}
+
+/**
+ * Create a signed session token: base64url(JSON { sub, exp }) + '.' + HMAC.
+ * exp is in seconds since the epoch.
+ */
+export async function signSessionToken(secret, subject, ttlSeconds) {
+  const payload = base64url(encoder.encode(JSON.stringify({
+    sub: subject,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  })));
+  return `${payload}.${await hmac(secret, payload)}`;
+}
+
+async function verifySessionToken(secret, token) {
+  const [payload, signature, extra] = token.split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+  if (!timingSafeEqual(signature, await hmac(secret, payload))) return null;
+
+  try {
+    const claims = JSON.parse(new TextDecoder().decode(fromBase64url(payload)));
+    if (typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) return null;
+    return claims;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check the request's bearer token.
+ * Returns { ok: true, method, subject } - method is 'none', 'token' or
+ * 'signed' - or { ok: false, error }.
+ */
+export async function authenticate(request, env) {
+  const tokens = listFromEnv(env.AUTH_TOKENS);
+  const secret = env.AUTH_SECRET;
+  if (tokens.length === 0 && !secret) {
+    return { ok: true, method: 'none', subject: null };
+  }
+
+  const token = (request.headers.get('Authorization') || '').match(/^Bearer\s+(.+)$/i)?.[1]?.trim();
+  if (!token) {
+    return { ok: false, error: 'Authentication required: send an Authorization: Bearer token' };
+  }
+
+  if (tokens.some(candidate => timingSafeEqual(candidate, token))) {
+    return { ok: true, method: 'token', subject: null };
+  }
+
+  if (secret) {
+    const claims = await verifySessionToken(secret, token);
+    if (claims) return { ok: true, method: 'signed', subject: claims.sub ?? null };
+  }
+
+  return { ok: false, error: 'Invalid or expired access token' };
+}
@@ -0,0 +1,455 @@
+/**
+ * CSV editing tool - structured cell, row and column commands
+ *
+ * Editing CSV through str_replace on raw text breaks quoting and trips over
+ * repeated values. This tool parses the document into rows and cells, applies
+ * the command to the table and writes it back, re-serializing only the rows
+ * that actually changed so untouched rows keep their original formatting.
+ *
+ * Data rows are numbered from 1; the header row is not counted.
+ */
+
+export const CSV_EDITOR_TOOL = {
+  name: "csv_editor",
+  description: "Structured editor for CSV content. Addresses data by row number and column name so quoting is always handled correctly. Prefer this over str_replace_editor for any cell, row or column change.",
+  input_schema: {
+    type: "object",
+    properties: {
+      command: {
+        type: "string",
+        enum: ["view", "set_cell", "insert_rows", "delete_rows", "add_column", "rename_column", "reorder_columns", "sort_by"],
+        description: "The command to execute"
+      },
+      reason: {
+        type: "string",
+        description: "For commands that change the document: one short sentence on why this edit is needed. It is shown to the user next to the change."
+      },
+      row: {
+        type: "integer",
+        description: "For 'set_cell': data row number (1-indexed, header not counted)"
+      },
+      row_range: {
+        type: "array",
+        items: { type: "integer" },
+        description: "For 'view': [first_row, last_row] of data rows to show. Omit to view all."
+      },
+      column_name: {
+        type: "string",
+        description: "For 'set_cell', 'add_column', 'rename_column' and 'sort_by': the header name of the column"
+      },
+      value: {
+        type: "string",
+        description: "For 'set_cell': the new cell value (unquoted - quoting is added automatically)"
+      },
+      after_row: {
+        type: "integer",
+        description: "For 'insert_rows': data row number after which to insert (0 = before the first data row)"
+      },
+      rows: {
+        type: "array",
+        items: {},
+        description: "For 'insert_rows': rows to insert, each an array with one value per column, in column order, or an object keyed by column name. For 'delete_rows': data row numbers to delete."
+      },
+      position: {
+        type: "integer",
+        description: "For 'add_column': 1-indexed position of the new column. Omit to append at the end."
+      },
+      default_value: {
+        type: "string",
+        description: "For 'add_column': value for every existing row (default empty)"
+      },
+      values: {
+        type: "array",
+        items: { type: "string" },
+        description: "For 'add_column': one value per data row, in row order. Overrides default_value."
+      },
+      new_name: {
+        type: "string",
+        description: "For 'rename_column': the new header name"
+      },
+      columns: {
+        type: "array",
+        items: { type: "string" },
+        description: "For 'reorder_columns': column names in the desired order. Columns not listed keep their relative order after the listed ones."
+      },
+      descending: {
+        type: "boolean",
+        description: "For 'sort_by': sort from largest to smallest (default ascending)"
+      }
+    },
+    required: ["command"]
+  }
+};
+
+/**
+ * Parse CSV text into rows. Each row keeps its raw source text so it can be
+ * written back unchanged if the command does not touch it. A quoted field
+ * that is never closed swallows the rest of the text and sets unterminatedQuote.
+ */
+export function parseCsv(text) {
+  const newline = text.includes('\r\n') ? '\r\n' : '\n';
+  const trailingNewline = text.endsWith('\n');
+  const body = trailingNewline ? text.slice(0, text.endsWith('\r\n') ? -2 : -1) : text;
+  const rows = [];
+  let unterminatedQuote = false;
+
+  if (body === '') {
+    return { rows, newline, trailingNewline, unterminatedQuote };
+  }
+
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let rowStart = 0;
+
+  for (let i = 0; i <= body.length; i++) {
+    const char = body[i];
+
+    if (inQuotes) {
+      if (char === '"' && body[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else if (char === undefined) {
+        // Unterminated quote - keep what we have
+        unterminatedQuote = true;
+        cells.push(cell);
+        rows.push({ cells, raw: body.slice(rowStart) });
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\r' && body[i + 1] === '\n') {
+      // Line ending is handled on the \n
+    } else if (char === '\n' || char === undefined) {
+      cells.push(cell);
+      const rowEnd = char === '\n' && body[i - 1] === '\r' ? i - 1 : i;
+      rows.push({ cells, raw: body.slice(rowStart, rowEnd) });
+      cells = [];
+      cell = '';
+      rowStart = i + 1;
+    } else {
+      cell += char;
+    }
+  }
+
+  return { rows, newline, trailingNewline, unterminatedQuote };
+}
+
+function quoteCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Serialize parsed rows back to CSV text
+ */
+export function serializeCsv({ rows, newline, trailingNewline }) {
+  const text = rows
+    .map(row => (row.raw !== null ? row.raw : row.cells.map(quoteCell).join(',')))
+    .join(newline);
+  return trailingNewline ? text + newline : text;
+}
+
+// Resolve a column name to its index - exact match first, then case-insensitive
+function findColumn(header, columnName) {
+  if (typeof columnName !== 'string') return -1;
+  const exact = header.indexOf(columnName);
+  if (exact !== -1) return exact;
+  const wanted = columnName.trim().toLowerCase();
+  return header.findIndex(name => name.trim().toLowerCase() === wanted);
+}
+
+function unknownColumn(header, columnName) {
+  return {
+    success: false,
+    error: `Unknown column: ${JSON.stringify(columnName)}. Columns are: ${header.map(name => JSON.stringify(name)).join(', ')}`
+  };
+}
+
+// First source line of a data row, for scrolling the textarea to the edit
+function lineNumberOfRow(rows, rowIndex) {
+  let line = 1;
+  for (let i = 0; i < rowIndex && i < rows.length; i++) {
+    line += (rows[i].raw !== null ? rows[i].raw : rows[i].cells.map(quoteCell).join(',')).split('\n').length;
+  }
+  return line;
+}
+
+// Numeric value of a cell for sorting, ignoring currency symbols and separators
+function numericValue(value) {
+  const cleaned = value.replace(/[$€£,%\s]/g, '');
+  return cleaned !== '' && !isNaN(Number(cleaned)) ? Number(cleaned) : null;
+}
+
+/**
+ * Execute a csv_editor command against CSV text.
+ * Returns the same shape as executeEditorCommand: { success, content, message,
+ * edit_metadata } on success or { success: false, error } on failure.
+ */
+export function executeCsvCommand(command, content) {
+  const table = parseCsv(content);
+  const { rows } = table;
+
+  if (command.command !== 'insert_rows' && command.command !== 'add_column' && rows.length === 0) {
+    return { success: false, error: 'The CSV is empty - there is no header row to edit' };
+  }
+
+  const header = rows.length > 0 ? rows[0].cells : [];
+  const dataRowCount = Math.max(rows.length - 1, 0);
+
+  const checkRow = (row) => Number.isInteger(row) && row >= 1 && row <= dataRowCount;
+
+  const done = (message, metadata) => ({
+    success: true,
+    content: serializeCsv(table),
+    message,
+    edit_metadata: {
+      type: 'csv_edit',
+      command: command.command,
+      cells: [],
+      rows: [],
+      columns: [],
+      ...metadata
+    }
+  });
+
+  switch (command.command) {
+    case 'view': {
+      let first = 1;
+      let last = dataRowCount;
+      if (Array.isArray(command.row_range)) {
+        [first, last] = command.row_range;
+        first = Math.max(1, first || 1);
+        last = Math.min(dataRowCount, last || dataRowCount);
+      }
+      return {
+        success: true,
+        columns: header,
+        rows: rows.slice(first, last + 1).map((row, idx) => ({ row: first + idx, values: row.cells })),
+        total_rows: dataRowCount
+      };
+    }
+
+    case 'set_cell': {
+      const { row, column_name, value } = command;
+      if (!checkRow(row)) {
+        return { success: false, error: `Invalid row: ${row}. Must be between 1 and ${dataRowCount}` };
+      }
+      const column = findColumn(header, column_name);
+      if (column === -1) return unknownColumn(header, column_name);
+      if (value === undefined || value === null) {
+        return { success: false, error: 'value is required for set_cell' };
+      }
+
+      const target = rows[row];
+      const oldValue = target.cells[column] ?? '';
+      while (target.cells.length <= column) target.cells.push('');
+      target.cells[column] = String(value);
+      target.raw = null;
+
+      return done(`Set ${header[column]} in row ${row}`, {
+        cells: [{ row, column, column_name: header[column], old_value: oldValue, new_value: String(value) }],
+        rows: [row],
+        columns: [column],
+        line_number: lineNumberOfRow(rows, row)
+      });
+    }
+
+    case 'insert_rows': {
+      const afterRow = command.after_row ?? dataRowCount;
+      const newRows = command.rows;
+      if (!Number.isInteger(afterRow) || afterRow < 0 || afterRow > dataRowCount) {
+        return { success: false, error: `Invalid after_row: ${afterRow}. Must be between 0 and ${dataRowCount}` };
+      }
+      if (!Array.isArray(newRows) || newRows.length === 0) {
+        return { success: false, error: 'rows must be a non-empty array for insert_rows' };
+      }
+      if (rows.length === 0 && newRows.some(row => !Array.isArray(row))) {
+        return { success: false, error: 'The CSV is empty - insert the header row first as an array of column names' };
+      }
+
+      // Every row keeps the table rectangular - a new table takes its width
+      // from the header row being inserted
+      const width = rows.length === 0 ? newRows[0].length : header.length;
+      const inserted = [];
+      for (const newRow of newRows) {
+        if (Array.isArray(newRow)) {
+          if (newRow.length !== width) {
+            return {
+              success: false,
+              error: `Row [${newRow.join(', ')}] has ${newRow.length} value${newRow.length === 1 ? '' : 's'} but the table has ${width} columns (${(rows.length === 0 ? newRows[0] : header).join(', ')}). Pass one value per column, or an object keyed by column name`
+            };
+          }
+          inserted.push({ cells: newRow.map(value => (value === null || value === undefined ? '' : String(value))), raw: null });
+        } else if (newRow && typeof newRow === 'object') {
+          const cells = new Array(header.length).fill('');
+          for (const [name, value] of Object.entries(newRow)) {
+            const column = findColumn(header, name);
+            if (column === -1) return unknownColumn(header, name);
+            cells[column] = value === null || value === undefined ? '' : String(value);
+          }
+          inserted.push({ cells, raw: null });
+        } else {
+          return { success: false, error: 'Each row must be an array of values or an object keyed by column name' };
+        }
+      }
+
+      // After the header when the table exists, at the top when it is empty
+      const insertIndex = rows.length === 0 ? 0 : afterRow + 1;
+      rows.splice(insertIndex, 0, ...inserted);
+
+      const firstNewRow = rows.length === inserted.length ? 0 : afterRow + 1;
+      const newRowNumbers = inserted.map((_, idx) => firstNewRow + idx).filter(row => row >= 1);
+      return done(`Inserted ${inserted.length} row${inserted.length === 1 ? '' : 's'} after row ${afterRow}`, {
+        rows: newRowNumbers,
+        line_number: lineNumberOfRow(rows, insertIndex)
+      });
+    }
+
+    case 'delete_rows': {
+      const targets = command.rows;
+      if (!Array.isArray(targets) || targets.length === 0) {
+        return { success: false, error: 'rows must be a non-empty array of row numbers for delete_rows' };
+      }
+      const invalid = targets.filter(row => !checkRow(row));
+      if (invalid.length > 0) {
+        return { success: false, error: `Invalid rows: ${invalid.join(', ')}. Must be between 1 and ${dataRowCount}` };
+      }
+
+      const unique = [...new Set(targets)].sort((a, b) => a - b);
+      const lineNumber = lineNumberOfRow(rows, unique[0]);
+      const deleted = [];
+      for (const row of [...unique].reverse()) {
+        deleted.unshift(rows.splice(row, 1)[0].cells);
+      }
+
+      return done(`Deleted ${unique.length} row${unique.length === 1 ? '' : 's'} (${unique.join(', ')})`, {
+        deleted_rows: unique.map((row, idx) => ({ row, values: deleted[idx] })),
+        line_number: lineNumber
+      });
+    }
+
+    case 'add_column': {
+      const { column_name, position, default_value = '', values } = command;
+      if (typeof column_name !== 'string' || !column_name.trim()) {
+        return { success: false, error: 'column_name is required for add_column' };
+      }
+      if (findColumn(header, column_name) !== -1) {
+        return { success: false, error: `Column ${JSON.stringify(column_name)} already exists` };
+      }
+      const index = position === undefined ? header.length : position - 1;
+      if (!Number.isInteger(index) || index < 0 || index > header.length) {
+        return { success: false, error: `Invalid position: ${position}. Must be between 1 and ${header.length + 1}` };
+      }
+      if (values !== undefined && (!Array.isArray(values) || values.length !== dataRowCount)) {
+        return { success: false, error: `values must have exactly one entry per data row (${dataRowCount})` };
+      }
+
+      if (rows.length === 0) {
+        rows.push({ cells: [], raw: null });
+      }
+      rows.forEach((row, rowIdx) => {
+        while (row.cells.length < index) row.cells.push('');
+        const value = rowIdx === 0 ? column_name : (values ? values[rowIdx - 1] : default_value);
+        row.cells.splice(index, 0, value === null || value === undefined ? '' : String(value));
+        row.raw = null;
+      });
+
+      return done(`Added column ${JSON.stringify(column_name)} at position ${index + 1}`, {
+        columns: [index],
+        line_number: 1
+      });
+    }
+
+    case 'rename_column': {
+      const { column_name, new_name } = command;
+      const column = findColumn(header, column_name);
+      if (column === -1) return unknownColumn(header, column_name);
+      if (typeof new_name !== 'string' || !new_name.trim()) {
+        return { success: false, error: 'new_name is required for rename_column' };
+      }
+
+      const oldName = header[column];
+      rows[0].cells[column] = new_name;
+      rows[0].raw = null;
+
+      return done(`Renamed column ${JSON.stringify(oldName)} to ${JSON.stringify(new_name)}`, {
+        cells: [{ row: 0, column, column_name: new_name, old_value: oldName, new_value: new_name }],
+        columns: [column],
+        line_number: 1
+      });
+    }
+
+    case 'reorder_columns': {
+      const { columns } = command;
+      if (!Array.isArray(columns) || columns.length === 0) {
+        return { success: false, error: 'columns must be a non-empty array of column names for reorder_columns' };
+      }
+
+      const order = [];
+      for (const name of columns) {
+        const column = findColumn(header, name);
+        if (column === -1) return unknownColumn(header, name);
+        if (order.includes(column)) {
+          return { success: false, error: `Column ${JSON.stringify(name)} is listed more than once` };
+        }
+        order.push(column);
+      }
+      header.forEach((_, column) => {
+        if (!order.includes(column)) order.push(column);
+      });
+
+      rows.forEach(row => {
+        row.cells = order.map(column => row.cells[column] ?? '');
+        row.raw = null;
+      });
+
+      return done(`Reordered columns: ${rows[0].cells.join(', ')}`, {
+        columns: order.map((_, idx) => idx),
+        line_number: 1
+      });
+    }
+
+    case 'sort_by': {
+      const { column_name, descending = false } = command;
+      const column = findColumn(header, column_name);
+      if (column === -1) return unknownColumn(header, column_name);
+
+      const dataRows = rows.slice(1);
+      const numeric = dataRows.every(row => (row.cells[column] ?? '').trim() === '' || numericValue(row.cells[column]) !== null);
+      const direction = descending ? -1 : 1;
+
+      // Array.prototype.sort is stable, so equal keys keep their order
+      dataRows.sort((a, b) => {
+        const left = a.cells[column] ?? '';
+        const right = b.cells[column] ?? '';
+        if (numeric) {
+          return direction * ((numericValue(left) ?? -Infinity) - (numericValue(right) ?? -Infinity));
+        }
+        return direction * left.localeCompare(right, undefined, { sensitivity: 'base', numeric: true });
+      });
+      rows.splice(1, dataRows.length, ...dataRows);
+
+      return done(`Sorted ${dataRows.length} rows by ${JSON.stringify(header[column])} (${descending ? 'descending' : 'ascending'}${numeric ? ', numeric' : ''})`, {
+        rows: dataRows.map((_, idx) => idx + 1),
+        columns: [column],
+        line_number: 2
+      });
+    }
+
+    default:
+      return { success: false, error: `Unknown command: ${command.command}` };
+  }
+}
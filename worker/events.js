@@ -0,0 +1,245 @@
+/**
+ * Server-sent event protocol for /api/generate, version 1
+ *
+ * Every event is written with its type as the SSE event name, a sequence
+ * number as its id, and a JSON object that repeats the type:
+ *
+ *   id: 3
+ *   event: content_update
+ *   data: {"type":"content_update","transaction_id":"...","content":"...","edit":{...}}
+ *
+ * The stream always opens with `session` (which carries the protocol version
+ * and the stream id) and ends with `done`, whose data is the literal [DONE].
+ * Clients that only read `data:` lines keep working - the payload alone
+ * identifies the event.
+ *
+ *   session                { session_id, protocol, stream_id }
+ *   content_delta          { text }                 generate mode: document text
+ *   text                   { text }                 update mode: summary text
+ *   tool_composing         { tool, tool_use_id, input_chars }
+ *   tool_use               { tool, command, status }
+ *   content_update         { transaction_id, content, edit }
+ *   tool_result            { success, message }
+ *   clarification_needed   { question, why_asking, questions, session_id }
+ *                                                   question/why_asking repeat questions[0]
+ *   validation_warnings    { issues, total_issues }
+ *   transaction_commit     { transaction_id, content }
+ *   transaction_rollback   { transaction_id, reason }
+ *   proposals              { transaction_id, proposals }   propose mode, instead of
+ *                                                          transaction_commit
+ *   rate_limited           { error, budget, retry_after }
+ *   retrying               { attempt, max_attempts, delay_ms, status, reason }
+ *   usage                  { model, turns, usage, cost_usd }
+ *   error                  { error, details }
+ *   done                   [DONE]
+ *
+ * New fields may be added to an event without a version change; clients
+ * should ignore event types they do not know. Renaming or removing anything
+ * bumps PROTOCOL_VERSION.
+ *
+ * Streams are resumable. Events are kept until STREAM_RESUME_SECONDS (default
+ * 30) after the stream ends. A client whose connection dropped asks
+ * GET /api/stream/:id, with a Last-Event-ID header, for what it missed: the
+ * response replays the buffered events and closes, and its X-Stream-State
+ * header says whether the stream is still `running` (ask again for the rest)
+ * or `ended`. A Worker cannot write to another request's response, so a
+ * replay never turns into a live connection.
+ *
+ * The buffer lives in the memory of the worker isolate that handles the
+ * request, so a reconnect that reaches another isolate gets a 404. The client
+ * then waits for the session's last_stream_id to name the stream - the
+ * instruction's outcome is saved there whichever way it ends.
+ *
+ * A dropped connection is given the same window to come back, and every
+ * replay counts as the client still being there. If nobody asks in time, or
+ * the client cancels the stream, the stream's signal aborts. Pass it to
+ * anything that should stop with the client, such as model calls; later
+ * sends reject with the signal's reason.
+ *
+ * Before version 1 the worker sent unnamed events, and generate mode sent its
+ * text as a bare { text } object. content_delta keeps the text field, so
+ * those clients still work.
+ */
+
+export const PROTOCOL_VERSION = 1;
+
+const DEFAULT_RESUME_SECONDS = 30;
+const WATCH_INTERVAL_MS = 1000; // How often a stream checks for cancels and departed clients
+
+// Why a stream's signal aborted
+const STOP_REASONS = {
+  client_disconnected: 'Client disconnected',
+  cancelled: 'Cancelled by client'
+};
+
+// Shared by every request handled by this isolate
+const activeStreams = new Map();
+
+export function resumeWindowMs(env) {
+  const seconds = parseInt(env.STREAM_RESUME_SECONDS, 10);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_RESUME_SECONDS) * 1000;
+}
+
+// Forget streams whose resume window has run out
+function pruneStreams() {
+  const now = Date.now();
+  for (const [id, stream] of activeStreams) {
+    if (stream.expiresAt !== null && stream.expiresAt <= now) {
+      activeStreams.delete(id);
+    }
+  }
+}
+
+/**
+ * A stream that can still be re-attached to, if it belongs to this client
+ */
+export function findStream(id, client) {
+  pruneStreams();
+  const stream = activeStreams.get(id);
+  return stream && stream.client === client ? stream : null;
+}
+
+/**
+ * Create and register the event stream for one request. Connect the request's
+ * own response to it with attach(); events sent while it is not connected are
+ * only buffered for replay().
+ */
+export function createEventStream({ client, windowMs }) {
+  const encoder = new TextEncoder();
+  const cancel = new AbortController();
+  const buffer = []; // { id, text } of every event sent so far
+  let writer = null; // The request's own response, while it is being read
+  let queue = Promise.resolve(); // Keeps writes to the connection in order
+  let ended = false;
+  let cancelRequested = false;
+  let lastSeenAt = Date.now(); // When the client last read from the stream
+
+  const stop = (reason) => {
+    if (cancel.signal.aborted) return;
+    clearInterval(watch);
+    stream.stopReason = reason;
+    cancel.abort(new Error(STOP_REASONS[reason]));
+    stream.expiresAt = Date.now() + windowMs;
+    if (writer) {
+      writer.abort(cancel.signal.reason).catch(() => {});
+      writer = null;
+    }
+  };
+
+  // Other requests (cancel, replay) only leave notes here - aborting the
+  // model call and the response is I/O this request has to do itself
+  const watch = setInterval(() => {
+    if (cancelRequested) {
+      stop('cancelled');
+    } else if (!writer && !ended && Date.now() - lastSeenAt > windowMs) {
+      stop('client_disconnected');
+    }
+  }, WATCH_INTERVAL_MS);
+
+  // The connection went away - the client may still come back for a replay
+  const detach = (lost) => {
+    if (writer !== lost) return;
+    writer = null;
+    lastSeenAt = Date.now();
+    lost.abort(new Error('Client disconnected')).catch(() => {});
+  };
+
+  // Queue a write to the connection, if it is still there
+  const deliver = (text) => {
+    const target = writer;
+    if (!target) return queue;
+    queue = queue.then(async () => {
+      try {
+        await target.write(encoder.encode(text));
+      } catch (error) {
+        detach(target);
+      }
+    });
+    return queue;
+  };
+
+  const append = (body) => {
+    if (cancel.signal.aborted) return Promise.reject(cancel.signal.reason);
+    const id = buffer.length + 1;
+    const text = `id: ${id}\n${body}`;
+    buffer.push({ id, text });
+    return deliver(text);
+  };
+
+  // After the last event the stream stays around for late replays only
+  const end = () => {
+    ended = true;
+    clearInterval(watch);
+    stream.expiresAt = Date.now() + windowMs;
+  };
+
+  const closeWriter = (method, ...args) => {
+    const current = writer;
+    writer = null;
+    if (!current) return queue;
+    queue = queue.then(() => current[method](...args)).catch(() => {});
+    return queue;
+  };
+
+  const stream = {
+    id: crypto.randomUUID(),
+    client,
+    expiresAt: null, // Set once the stream ends or is stopped
+    stopReason: null, // 'client_disconnected' or 'cancelled' once stopped
+    signal: cancel.signal,
+
+    // True once the client has gone for good or cancelled the stream
+    get disconnected() {
+      return cancel.signal.aborted;
+    },
+
+    /**
+     * Connect the response of the request that created the stream. Only that
+     * request may write to it.
+     */
+    attach(newWriter, requestSignal) {
+      writer = newWriter;
+      requestSignal?.addEventListener('abort', () => detach(newWriter));
+    },
+
+    /**
+     * Every event after lastEventId as SSE text, and whether more may follow.
+     * Called from the request of a client that lost its connection.
+     */
+    replay(lastEventId = 0) {
+      lastSeenAt = Date.now();
+      return {
+        text: buffer.filter(event => event.id > lastEventId).map(event => event.text).join(''),
+        running: !ended && !cancel.signal.aborted
+      };
+    },
+
+    // Write a named event - the type is added to the data as well
+    send(type, data = {}) {
+      return append(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+    },
+
+    // Write the closing event and end the stream
+    async done() {
+      await append('event: done\ndata: [DONE]\n\n');
+      end();
+      await closeWriter('close');
+    },
+
+    // End the stream with an error
+    abort(error) {
+      end();
+      return closeWriter('abort', error);
+    },
+
+    // The client asked to stop (DELETE /api/stream/:id) - acted on within
+    // WATCH_INTERVAL_MS
+    cancel() {
+      cancelRequested = true;
+    }
+  };
+
+  pruneStreams();
+  activeStreams.set(stream.id, stream);
+  return stream;
+}
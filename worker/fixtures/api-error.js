@@ -0,0 +1,7 @@
+// The first call fails the way an overloaded API does
+export default {
+  description: 'Fails with a 529 overloaded error',
+  turns: [
+    { status: 529, error: { type: 'overloaded_error', message: 'Overloaded' } }
+  ]
+};
@@ -0,0 +1,46 @@
+// Update mode: asks two multiple-choice questions in one pause, then inserts
+// a row once resumed. The scripted edit is the same whatever the answers are.
+export default {
+  description: 'Asks for the department and start month as choices, then adds a new hire',
+  turns: [
+    {
+      content: [{
+        type: 'tool_use',
+        name: 'ask_user',
+        input: {
+          questions: [
+            {
+              id: 'department',
+              question: 'Which department should the new hire join?',
+              why_asking: 'The table has several departments and the instruction does not say which one.',
+              options: ['Engineering', 'Marketing', 'Sales']
+            },
+            {
+              id: 'start',
+              question: 'When do they start?',
+              options: ['September 2024', 'October 2024'],
+              allow_other: false
+            }
+          ]
+        }
+      }],
+      stop_reason: 'tool_use'
+    },
+    {
+      content: [{
+        type: 'tool_use',
+        name: 'csv_editor',
+        input: {
+          command: 'insert_rows',
+          after_row: 0,
+          rows: [{ Name: 'Gus Romero', Department: 'Engineering', Salary: '90000', 'Start Date': '2024-09-02' }]
+        }
+      }],
+      stop_reason: 'tool_use'
+    },
+    {
+      content: [{ type: 'text', text: 'Added Gus Romero as the first row.' }],
+      stop_reason: 'end_turn'
+    }
+  ]
+};
@@ -0,0 +1,34 @@
+// Update mode: asks a question, then inserts a row once resumed.
+// The scripted edit is the same whatever the answer is.
+export default {
+  description: 'Asks which department to use, then adds a new hire',
+  turns: [
+    {
+      content: [{
+        type: 'tool_use',
+        name: 'ask_user',
+        input: {
+          question: 'Which department should the new hire join?',
+          why_asking: 'The table has several departments and the instruction does not say which one.'
+        }
+      }],
+      stop_reason: 'tool_use'
+    },
+    {
+      content: [{
+        type: 'tool_use',
+        name: 'csv_editor',
+        input: {
+          command: 'insert_rows',
+          after_row: 0,
+          rows: [{ Name: 'Gus Romero', Department: 'Engineering', Salary: '90000', 'Start Date': '2024-09-02' }]
+        }
+      }],
+      stop_reason: 'tool_use'
+    },
+    {
+      content: [{ type: 'text', text: 'Added Gus Romero as the first row.' }],
+      stop_reason: 'end_turn'
+    }
+  ]
+};
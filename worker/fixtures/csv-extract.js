@@ -0,0 +1,18 @@
+// Generate mode with an uploaded image: streams the table "read" from a
+// screenshot. The image itself is not looked at.
+export default {
+  description: 'Streams a quarterly sales table as if transcribed from a screenshot',
+  turns: [
+    {
+      content: [{
+        type: 'text',
+        text: 'Region,Q1,Q2,Q3,Q4\n'
+          + 'North,12400,13150,12980,15020\n'
+          + 'South,9800,10240,,11310\n'
+          + 'East,14100,13870,14520,16200\n'
+          + 'West,8650,9120,9440,10050\n'
+      }],
+      stop_reason: 'end_turn'
+    }
+  ]
+};
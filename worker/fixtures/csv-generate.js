@@ -0,0 +1,18 @@
+// Generate mode: streams a small employee table
+export default {
+  description: 'Streams a five-row employee CSV',
+  turns: [
+    {
+      content: [{
+        type: 'text',
+        text: 'Name,Department,Salary,Start Date\n'
+          + 'Ada Park,Engineering,98000,2021-03-15\n'
+          + 'Ben Ortiz,Marketing,72000,2019-07-01\n'
+          + 'Chloe Nguyen,Engineering,105000,2018-11-20\n'
+          + 'Dev Patel,Sales,68000,2022-01-10\n'
+          + '"Evans, Fay",Finance,81000,2020-05-04\n'
+      }],
+      stop_reason: 'end_turn'
+    }
+  ]
+};
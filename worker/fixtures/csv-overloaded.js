@@ -0,0 +1,22 @@
+// Update mode: the API is overloaded mid-edit and recovers after retries
+export default {
+  description: 'Makes an edit, then hits a 529 and a 429 before the next turn succeeds',
+  turns: [
+    {
+      content: [{ type: 'tool_use', name: 'csv_editor', input: { command: 'set_cell', row: 1, column_name: 'Salary', value: '99000' } }],
+      stop_reason: 'tool_use'
+    },
+    {
+      fail: [
+        { status: 529, error: { type: 'overloaded_error', message: 'Overloaded' } },
+        { status: 429, error: { type: 'rate_limit_error', message: 'Rate limited' }, retry_after: 1 }
+      ],
+      content: [{ type: 'tool_use', name: 'csv_editor', input: { command: 'set_cell', row: 2, column_name: 'Salary', value: '74000' } }],
+      stop_reason: 'tool_use'
+    },
+    {
+      content: [{ type: 'text', text: 'Raised the first two salaries.' }],
+      stop_reason: 'end_turn'
+    }
+  ]
+};
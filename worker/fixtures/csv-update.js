@@ -0,0 +1,45 @@
+// Update mode: view, change a cell, add a column, then summarize.
+// Written against the csv-generate table.
+export default {
+  description: 'Views the table, raises a salary and adds a Remote column',
+  turns: [
+    {
+      content: [{ type: 'tool_use', name: 'csv_editor', input: { command: 'view' } }],
+      stop_reason: 'tool_use'
+    },
+    {
+      content: [
+        { type: 'text', text: 'I\'ll give Ben a raise first.' },
+        {
+          type: 'tool_use',
+          name: 'csv_editor',
+          input: {
+            command: 'set_cell',
+            row: 2,
+            column_name: 'Salary',
+            value: '76000',
+            reason: 'Ben\'s salary was below the rest of Marketing.'
+          }
+        }
+      ],
+      stop_reason: 'tool_use'
+    },
+    {
+      content: [{
+        type: 'tool_use',
+        name: 'csv_editor',
+        input: {
+          command: 'add_column',
+          column_name: 'Remote',
+          values: ['Yes', 'No', 'Yes', 'No', 'Yes'],
+          reason: 'Records who works remotely, as asked.'
+        }
+      }],
+      stop_reason: 'tool_use'
+    },
+    {
+      content: [{ type: 'text', text: 'Raised Ben Ortiz\'s salary to 76000 and added a Remote column.' }],
+      stop_reason: 'end_turn'
+    }
+  ]
+};
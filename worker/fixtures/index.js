@@ -0,0 +1,42 @@
+/**
+ * Fixtures for the mock provider, by name
+ *
+ * Each fixture is { description, turns } where a turn is one scripted model
+ * reply, in the Anthropic message format:
+ *
+ *   { content: [text / tool_use blocks], stop_reason, usage? }
+ *   { status: 529, error: { type, message } }       // HTTP error from the API
+ *   { content: [...], stream_error: 'message' }     // stream breaks after content
+ *   { fail: [{ status, error, retry_after? }], content: [...] }
+ *                                                   // fails once per entry, then plays
+ *
+ * tool_use blocks need no id - the mock assigns one.
+ */
+
+import csvGenerate from './csv-generate.js';
+import csvUpdate from './csv-update.js';
+import csvAskUser from './csv-ask-user.js';
+import csvAskChoices from './csv-ask-choices.js';
+import markdownGenerate from './markdown-generate.js';
+import markdownUpdate from './markdown-update.js';
+import apiError from './api-error.js';
+import streamError from './stream-error.js';
+import csvOverloaded from './csv-overloaded.js';
+import markdownFuzzyMatch from './markdown-fuzzy-match.js';
+import csvExtract from './csv-extract.js';
+import markdownExtract from './markdown-extract.js';
+
+export const FIXTURES = {
+  'csv-generate': csvGenerate,
+  'csv-update': csvUpdate,
+  'csv-ask-user': csvAskUser,
+  'csv-ask-choices': csvAskChoices,
+  'markdown-generate': markdownGenerate,
+  'markdown-update': markdownUpdate,
+  'api-error': apiError,
+  'stream-error': streamError,
+  'csv-overloaded': csvOverloaded,
+  'markdown-fuzzy-match': markdownFuzzyMatch,
+  'csv-extract': csvExtract,
+  'markdown-extract': markdownExtract,
+};
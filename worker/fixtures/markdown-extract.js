@@ -0,0 +1,17 @@
+// Generate mode with an uploaded image: streams notes "read" from a
+// whiteboard photo. The image itself is not looked at.
+export default {
+  description: 'Streams retro notes as if transcribed from a whiteboard photo',
+  turns: [
+    {
+      content: [{
+        type: 'text',
+        text: '# Sprint 14 Retro\n\n'
+          + '## Went well\n\n- Release went out on time\n- Fewer flaky tests\n\n'
+          + '## To improve\n\n- Reviews wait too long\n- [illegible] before demo\n\n'
+          + '## Actions\n\n| Owner | Action |\n| --- | --- |\n| Sam | Add a review rota |\n| Priya | Write the demo checklist |\n'
+      }],
+      stop_reason: 'end_turn'
+    }
+  ]
+};
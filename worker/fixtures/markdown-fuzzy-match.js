@@ -0,0 +1,37 @@
+// Update mode: a str_replace whose old_str has the wrong spacing fails with a
+// candidate, then succeeds with match_mode 'normalized'.
+// Written against the markdown-generate document.
+export default {
+  description: 'Misses a str_replace on whitespace, then retries it normalized',
+  turns: [
+    {
+      content: [{
+        type: 'tool_use',
+        name: 'str_replace_editor',
+        input: {
+          command: 'str_replace',
+          old_str: 'Atlas reads service  manifests\nand draws',
+          new_str: 'Atlas reads service manifests and OpenAPI specs and draws'
+        }
+      }],
+      stop_reason: 'tool_use'
+    },
+    {
+      content: [{
+        type: 'tool_use',
+        name: 'str_replace_editor',
+        input: {
+          command: 'str_replace',
+          old_str: 'Atlas reads service  manifests\nand draws',
+          new_str: 'Atlas reads service manifests and OpenAPI specs and draws',
+          match_mode: 'normalized'
+        }
+      }],
+      stop_reason: 'tool_use'
+    },
+    {
+      content: [{ type: 'text', text: 'Mentioned OpenAPI specs in the overview.' }],
+      stop_reason: 'end_turn'
+    }
+  ]
+};
@@ -0,0 +1,18 @@
+// Generate mode: streams a short project README
+export default {
+  description: 'Streams a project README with four sections',
+  turns: [
+    {
+      content: [{
+        type: 'text',
+        text: '# Project Atlas\n\n'
+          + 'A small tool for mapping internal services.\n\n'
+          + '## Overview\n\nAtlas reads service manifests and draws a dependency graph.\n\n'
+          + '## Installation\n\n```bash\nnpm install -g atlas-map\n```\n\n'
+          + '## Usage\n\nRun `atlas scan` in a repository root.\n\n'
+          + '## License\n\nMIT\n'
+      }],
+      stop_reason: 'end_turn'
+    }
+  ]
+};
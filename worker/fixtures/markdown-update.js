@@ -0,0 +1,41 @@
+// Update mode: outline, rewrite a section, insert a new one.
+// Written against the markdown-generate document.
+export default {
+  description: 'Rewrites the Usage section and adds an FAQ',
+  turns: [
+    {
+      content: [{ type: 'tool_use', name: 'markdown_sections', input: { command: 'view_outline' } }],
+      stop_reason: 'tool_use'
+    },
+    {
+      content: [{
+        type: 'tool_use',
+        name: 'markdown_sections',
+        input: {
+          command: 'replace_section',
+          path: 'Usage',
+          reason: 'The Usage section did not say how to run a scan or list the flags.',
+          content: '## Usage\n\nRun `atlas scan` in a repository root, then open `atlas.html`.\n\n| Flag | Meaning |\n| --- | --- |\n| `--depth` | How many levels to follow |'
+        }
+      }],
+      stop_reason: 'tool_use'
+    },
+    {
+      content: [{
+        type: 'tool_use',
+        name: 'markdown_sections',
+        input: {
+          command: 'insert_section_after',
+          path: 'Usage',
+          reason: 'Answers the most common question about network access.',
+          content: '## FAQ\n\n**Does Atlas need network access?** No, it only reads local files.'
+        }
+      }],
+      stop_reason: 'tool_use'
+    },
+    {
+      content: [{ type: 'text', text: 'Expanded the Usage section with a flag table and added an FAQ.' }],
+      stop_reason: 'end_turn'
+    }
+  ]
+};
@@ -0,0 +1,14 @@
+// Update mode: one good edit, then the connection drops mid-turn
+export default {
+  description: 'Makes one edit, then the stream breaks part-way through the next turn',
+  turns: [
+    {
+      content: [{ type: 'tool_use', name: 'str_replace_editor', input: { command: 'insert', insert_line: 0, new_str: 'DRAFT' } }],
+      stop_reason: 'tool_use'
+    },
+    {
+      content: [{ type: 'text', text: 'Now I will tidy up the rest of the' }],
+      stream_error: 'Connection reset (mock)'
+    }
+  ]
+};
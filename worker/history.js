@@ -0,0 +1,111 @@
+/**
+ * Instruction history for update mode
+ *
+ * Update mode gives the model the current document through its tools, not
+ * the conversation, so resending earlier turns would mostly resend old copies
+ * of the document. Instead the first message of each edit carries a short
+ * digest of what was asked before and what was changed, which is enough for
+ * follow-ups like "undo that" or "do the same for the other rows":
+ *
+ *   <earlier_instructions>
+ *   1. Create a table of employees
+ *      -> (wrote a 12-line document starting "Name,Department,Salary")
+ *   2. Give everyone in Sales a 10% raise
+ *      -> Updated the salary of the 3 Sales employees.
+ *   </earlier_instructions>
+ *
+ * The digest is compacted automatically once it passes HISTORY_TOKEN_LIMIT
+ * (default 1500, estimated tokens): the oldest turns lose their results,
+ * then are dropped and counted. The latest turn always keeps its result.
+ * Set HISTORY_TOKEN_LIMIT to 0 to send the instruction on its own.
+ */
+
+const DEFAULT_TOKEN_LIMIT = 1500;
+const INSTRUCTION_CHARS = 300;
+const BRIEF_INSTRUCTION_CHARS = 120;
+const RESULT_CHARS = 400;
+// Longer replies than this came from generate mode - a whole document
+const DOCUMENT_LINES = 5;
+
+// Rough token count, good enough to decide when to compact
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+export function historyTokenLimit(env) {
+  const limit = parseInt(env.HISTORY_TOKEN_LIMIT, 10);
+  return Number.isFinite(limit) && limit >= 0 ? limit : DEFAULT_TOKEN_LIMIT;
+}
+
+// One line, cut to max characters
+function clip(text, max) {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > max ? `${line.slice(0, max - 1)}…` : line;
+}
+
+function describeResult(text) {
+  const lines = text.trim().split('\n');
+  if (lines.length > DOCUMENT_LINES) {
+    return `(wrote a ${lines.length}-line document starting "${clip(lines[0], 80)}")`;
+  }
+  return clip(text, RESULT_CHARS);
+}
+
+// Pair each user instruction with the assistant reply that followed it
+function toTurns(history) {
+  const turns = [];
+  for (const msg of history) {
+    if (msg.role === 'user') {
+      turns.push({ instruction: msg.content, result: '' });
+    } else if (msg.role === 'assistant' && turns.length > 0) {
+      turns[turns.length - 1].result = msg.content;
+    }
+  }
+  return turns;
+}
+
+/**
+ * Build the digest of earlier turns, or null if there are none or history is
+ * turned off. Returns { text, turns, compacted }.
+ */
+export function summarizeHistory(history, tokenLimit) {
+  const turns = toTurns(history);
+  if (turns.length === 0 || tokenLimit === 0) return null;
+
+  const detailed = turns.map((turn, idx) => {
+    const entry = `${idx + 1}. ${clip(turn.instruction, INSTRUCTION_CHARS)}`;
+    return turn.result ? `${entry}\n   -> ${describeResult(turn.result)}` : entry;
+  });
+  const brief = turns.map((turn, idx) => `${idx + 1}. ${clip(turn.instruction, BRIEF_INSTRUCTION_CHARS)}`);
+
+  // Turns before briefFrom are dropped, turns before detailedFrom are brief
+  let briefFrom = 0;
+  let detailedFrom = 0;
+  const render = () => [
+    ...(briefFrom > 0 ? [`(${briefFrom} earlier instruction${briefFrom === 1 ? '' : 's'} omitted)`] : []),
+    ...brief.slice(briefFrom, detailedFrom),
+    ...detailed.slice(detailedFrom)
+  ].join('\n');
+
+  let text = render();
+  while (estimateTokens(text) > tokenLimit) {
+    if (detailedFrom < turns.length - 1) detailedFrom++;
+    else if (briefFrom < detailedFrom) briefFrom++;
+    else break; // Only the latest turn is left
+    text = render();
+  }
+
+  return { text, turns: turns.length, compacted: detailedFrom > 0 };
+}
+
+/**
+ * The first message of an edit: the digest of earlier turns, if any, followed
+ * by the instruction itself
+ */
+export function instructionMessage(instruction, digest) {
+  if (!digest) return instruction;
+  return `<earlier_instructions>
+These are the instructions you were given earlier in this session and what you did, oldest first. Use them to understand follow-ups such as "undo that" or "do the same for the rest" - the document itself is only available through your tools.
+${digest.text}
+</earlier_instructions>
+
+${instruction}`;
+}
@@ -0,0 +1,103 @@
+/**
+ * Uploaded images - screenshots and photos to extract a document from
+ *
+ * Generate mode takes one image next to (or instead of) the instruction:
+ *
+ *   image: { media_type: 'image/png', data: '<base64, no data: prefix>' }
+ *
+ * Claude then transcribes the table in it to CSV, or the notes in it to
+ * Markdown, and the result streams like any generated document.
+ *
+ * checkImage() runs before anything is sent to the model: the media type must
+ * be one the Messages API accepts and match the file's own signature, and the
+ * decoded image may not be larger than IMAGE_MAX_BYTES (default 5 MB, the
+ * API's own limit per image).
+ */
+
+export const IMAGE_MEDIA_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// The first bytes of each supported format
+const SIGNATURES = {
+  'image/png': (bytes) => bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47,
+  'image/jpeg': (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff,
+  'image/gif': (bytes) => String.fromCharCode(...bytes.slice(0, 4)) === 'GIF8',
+  'image/webp': (bytes) => String.fromCharCode(...bytes.slice(0, 4)) === 'RIFF'
+    && String.fromCharCode(...bytes.slice(8, 12)) === 'WEBP'
+};
+
+// Instruction used when the user only uploads an image
+const DEFAULT_INSTRUCTIONS = {
+  csv: 'Extract the table in this image.',
+  markdown: 'Write up the notes in this image.'
+};
+
+// System prompts for extraction. Only the CSV one mentions CSV - the mock
+// provider tells the content types apart by it.
+export const EXTRACTION_PROMPTS = {
+  csv: 'You are a helpful AI assistant that transcribes tables from images into CSV. Copy every row and column exactly as shown, with the column headings in the first row. Keep numbers, dates and spelling as they appear; leave a cell empty if it is blank or unreadable rather than guessing. Use commas to separate values and wrap values in quotes if they contain commas. If the image holds several tables, transcribe the one the instruction asks for, or the largest. Only output the CSV data, no explanations.',
+  markdown: 'You are a helpful AI assistant that transcribes notes, whiteboards and documents from images into Markdown. Keep the wording of the original, and turn its structure into headings, lists and tables where the layout shows one. Mark words you cannot read as [illegible] rather than guessing. Only output the Markdown content, no explanations.'
+};
+
+export function imageMaxBytes(env) {
+  const limit = parseInt(env.IMAGE_MAX_BYTES, 10);
+  return Number.isFinite(limit) && limit > 0 ? limit : DEFAULT_MAX_BYTES;
+}
+
+// Size of the decoded data without decoding all of it
+function decodedSize(data) {
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return Math.floor(data.length * 3 / 4) - padding;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return bytes >= 1024 ? `${Math.ceil(bytes / 1024)} KB` : `${bytes} bytes`;
+}
+
+/**
+ * Check an uploaded image. Returns null when it can be sent, otherwise
+ * { status, error } - 415 for an unsupported type, 413 when too large, 400
+ * when the data is not what it claims to be.
+ */
+export function checkImage(image, maxBytes) {
+  if (!IMAGE_MEDIA_TYPES.includes(image.media_type)) {
+    return { status: 415, error: `Unsupported image type ${JSON.stringify(image.media_type)} - use one of ${IMAGE_MEDIA_TYPES.join(', ')}` };
+  }
+  if (image.data.length % 4 !== 0 || !BASE64_PATTERN.test(image.data)) {
+    return { status: 400, error: 'image.data must be base64 encoded, without a data: URL prefix' };
+  }
+
+  const size = decodedSize(image.data);
+  if (size > maxBytes) {
+    return { status: 413, error: `Image is ${formatBytes(size)} - the limit is ${formatBytes(maxBytes)}` };
+  }
+
+  const head = Uint8Array.from(atob(image.data.slice(0, 16)), char => char.charCodeAt(0));
+  if (!SIGNATURES[image.media_type](head)) {
+    return { status: 400, error: `image.data does not hold an ${image.media_type} file` };
+  }
+  return null;
+}
+
+/**
+ * The first user message of an extraction: the image, then the instruction
+ */
+export function extractionMessage(contentType, image, instruction) {
+  return {
+    role: 'user',
+    content: [
+      { type: 'image', source: { type: 'base64', media_type: image.media_type, data: image.data } },
+      { type: 'text', text: instruction || DEFAULT_INSTRUCTIONS[contentType] }
+    ]
+  };
+}
+
+/**
+ * How an extraction is remembered in the session history, which only holds text
+ */
+export function extractionInstruction(contentType, instruction) {
+  return `${instruction || DEFAULT_INSTRUCTIONS[contentType]} (from an uploaded image)`;
+}
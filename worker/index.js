@@ -5,27 +5,69 @@
  * keeping your API key secret on the server side.
  */
 
+import { parseRequest } from './request.js';
+import { CSV_EDITOR_TOOL, executeCsvCommand } from './csv-tool.js';
+import { MARKDOWN_SECTION_TOOL, executeMarkdownCommand } from './markdown-tool.js';
+import { validateDocument } from './validation.js';
+import { createSessionStore, newSession, publicSession, sessionOwner } from './sessions.js';
+import { clientKey, createRateLimiter } from './rate-limit.js';
+import { authenticate, corsHeaders, signSessionToken } from './auth.js';
+import { addUsage, createUsageStore, emptyUsage, usageDay, usageEvent } from './usage.js';
+import { createProvider } from './providers/index.js';
+import { createEventStream, findStream, PROTOCOL_VERSION, resumeWindowMs } from './events.js';
+import { historyTokenLimit, instructionMessage, summarizeHistory } from './history.js';
+import { applyProposals, createProposal, publicProposal } from './proposals.js';
+import { answerResult, ASK_USER_TOOL, questionsFrom, resolveAnswers } from './ask-user.js';
+import { checkImage, EXTRACTION_PROMPTS, extractionInstruction, extractionMessage, imageMaxBytes } from './images.js';
+import { checkReferences, referenceMaxChars, withReferences } from './references.js';
+import { closestMatches, compilePattern, findPattern, findNormalized, lineAt, matchingLines, MAX_PATTERN_MATCHES } from './text-match.js';
+
 // Text editor tool definition for Claude API
 const TEXT_EDITOR_TOOL = {
   name: "str_replace_editor",
-  description: "Custom text editor for making targeted edits to content. Use this to view and edit the text content incrementally.",
+  description: "Custom text editor for making targeted edits to content. Use this to view and edit the text content incrementally. 'view' prefixes every line with its number; 'find' searches with a regular expression and 'replace_all' changes every match in one call.",
   input_schema: {
     type: "object",
     properties: {
       command: {
         type: "string",
-        enum: ["view", "str_replace", "insert", "delete_range"],
+        enum: ["view", "find", "str_replace", "replace_all", "insert", "delete_range"],
         description: "The command to execute"
       },
+      reason: {
+        type: "string",
+        description: "For commands that change the document: one short sentence on why this edit is needed. It is shown to the user next to the change."
+      },
       view_range: {
         type: "array",
         items: { type: "integer" },
         description: "For 'view' command: [start_line, end_line] to view specific lines (1-indexed). Omit to view all."
       },
+      pattern: {
+        type: "string",
+        description: "For 'find' and 'replace_all': JavaScript regular expression to search for. ^ and $ match at line breaks; escape special characters to match them literally. Must match at least one character - patterns that can match empty text are refused."
+      },
+      ignore_case: {
+        type: "boolean",
+        description: "For 'find' and 'replace_all': match regardless of case (default false)"
+      },
+      replacement: {
+        type: "string",
+        description: "For 'replace_all': text to put in place of every match. $1, $2... insert capture groups and $& the whole match."
+      },
+      expected_count: {
+        type: "integer",
+        description: "For 'replace_all': how many matches you expect. If the pattern matches a different number of times, nothing is replaced - use 'find' first when unsure."
+      },
       old_str: {
         type: "string",
         description: "For 'str_replace': exact string to find and replace. Must match exactly including whitespace."
       },
+      match_mode: {
+        type: "string",
+        enum: ["exact", "normalized"],
+        description: "For 'str_replace': 'exact' (default) or 'normalized' - also match when old_str only differs in whitespace or quote characters, as long as there is exactly one such match"
+      },
       new_str: {
         type: "string",
         description: "For 'str_replace' and 'insert': new string to replace with or insert. Can be empty string to delete."
@@ -47,25 +89,29 @@ const TEXT_EDITOR_TOOL = {
   }
 };
 
-// Ask user tool - allows Claude to request clarification when UTTERLY NECESSARY
-const ASK_USER_TOOL = {
-  name: "ask_user",
-  description: "Ask the user a clarifying question when you genuinely need more information to complete the edit. ONLY use this if the instruction is truly ambiguous and you cannot make a reasonable creative decision. Prefer autonomous creative edits when possible - only ask if UTTERLY NECESSARY.",
-  input_schema: {
-    type: "object",
-    properties: {
-      question: {
-        type: "string",
-        description: "A single, specific clarifying question (keep it concise - one sentence max)"
-      },
-      why_asking: {
-        type: "string",
-        description: "Brief explanation of why you need this information (helps the user understand the context)"
-      }
-    },
-    required: ["question"]
-  }
-};
+// Added to the system prompt in propose mode
+const PROPOSAL_INSTRUCTIONS = `
+
+<proposal_mode>
+Your edits are PROPOSALS. Nothing changes until the user reviews them: each edit is shown on its own and accepted or rejected.
+- Before every edit, write ONE short sentence saying why you are making it
+- Keep edits independent where you can - an edit that relies on an earlier one (for example through shifted row numbers) can only be accepted together with it
+- Finish with a brief summary of what you propose
+</proposal_mode>`;
+
+// Longest edit reason passed on to the editors
+const MAX_REASON_CHARS = 300;
+
+// Prefix each line with its number, right-aligned
+function numberLines(lines, first) {
+  const width = String(first + lines.length - 1).length;
+  return lines.map((line, idx) => `${String(first + idx).padStart(width)}\t${line}`).join('\n');
+}
+
+// Character offset of the start of a line (0-indexed)
+function lineOffset(lines, index) {
+  return lines.slice(0, index).reduce((offset, line) => offset + line.length + 1, 0);
+}
 
 // Execute text editor tool command
 function executeEditorCommand(command, content) {
@@ -73,72 +119,170 @@ function executeEditorCommand(command, content) {
 
   switch (command.command) {
     case 'view':
+      // Numbered like `cat -n` so line numbers for insert and delete_range
+      // can be read off rather than counted
       if (command.view_range && Array.isArray(command.view_range)) {
         const [start, end] = command.view_range;
-        const viewLines = lines.slice(start - 1, end);
+        const first = Math.max(1, start || 1);
+        const viewLines = lines.slice(first - 1, end);
         return {
           success: true,
-          content: viewLines.join('\n'),
+          content: numberLines(viewLines, first),
           line_count: viewLines.length,
           total_lines: lines.length
         };
       }
       return {
         success: true,
-        content: content,
+        content: numberLines(lines, 1),
         line_count: lines.length,
         total_lines: lines.length
       };
 
+    case 'find': {
+      const { regex, error } = compilePattern(command.pattern, command.ignore_case);
+      if (error) {
+        return { success: false, error };
+      }
+
+      const { matches, total, capped, error: searchError } = findPattern(content, regex);
+      if (searchError) {
+        return { success: false, error: searchError };
+      }
+      return {
+        success: true,
+        message: total === 0
+          ? 'No matches'
+          : `${capped ? 'More than ' : ''}${total} match${total === 1 ? '' : 'es'}`,
+        matches,
+        total_matches: total,
+        truncated: capped || total > matches.length
+      };
+    }
+
     case 'str_replace':
-      const { old_str, new_str } = command;
+      const { old_str, new_str, match_mode } = command;
       if (!old_str) {
         return { success: false, error: "old_str is required for str_replace" };
       }
 
       const occurrences = (content.match(new RegExp(old_str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g')) || []).length;
 
-      if (occurrences === 0) {
-        return {
-          success: false,
-          error: "No match found. The old_str does not exist in the content.",
-          old_str_preview: old_str.substring(0, 100)
-        };
-      }
-
       if (occurrences > 1) {
         return {
           success: false,
           error: `Multiple matches found (${occurrences}). Please provide more context in old_str to make it unique.`,
-          occurrences
+          occurrences,
+          matches: matchingLines(content, old_str)
         };
       }
 
-      // Find the position of the change for visual feedback
-      const startPos = content.indexOf(old_str);
-      const endPos = startPos + old_str.length;
+      // Where the replaced text starts and ends
+      let startPos = content.indexOf(old_str);
+      let endPos = startPos + old_str.length;
+      let normalized = false;
 
-      // Calculate line number
-      const beforeEdit = content.substring(0, startPos);
-      const lineNumber = (beforeEdit.match(/\n/g) || []).length + 1;
+      if (occurrences === 0) {
+        // Look past whitespace and quote differences before giving up
+        const spans = findNormalized(content, old_str);
+
+        if (match_mode === 'normalized' && spans.length === 1) {
+          startPos = spans[0].start;
+          endPos = spans[0].end;
+          normalized = true;
+        } else if (spans.length > 1) {
+          return {
+            success: false,
+            error: `No exact match, and ${spans.length} matches once whitespace and quotes are normalized. Add context to old_str to pick one.`,
+            matches: spans.slice(0, 10).map(({ line, end_line, text }) => ({ line, end_line, text }))
+          };
+        } else if (spans.length === 1) {
+          return {
+            success: false,
+            error: `No exact match. old_str matches line ${spans[0].line} once whitespace and quotes are normalized - copy the exact text, or retry with match_mode 'normalized'.`,
+            candidates: [{ line: spans[0].line, end_line: spans[0].end_line, similarity: 1, text: spans[0].text }]
+          };
+        } else {
+          return {
+            success: false,
+            error: "No match found. The old_str does not exist in the content.",
+            old_str_preview: old_str.substring(0, 100),
+            candidates: closestMatches(content, old_str)
+          };
+        }
+      }
 
-      const newContent = content.replace(old_str, new_str || '');
+      // Calculate line number for visual feedback
+      const lineNumber = lineAt(content, startPos);
+      const oldText = content.slice(startPos, endPos);
+
+      const newContent = content.slice(0, startPos) + (new_str || '') + content.slice(endPos);
       return {
         success: true,
         content: newContent,
-        message: `Successfully replaced 1 occurrence`,
+        message: normalized
+          ? `Successfully replaced 1 occurrence (matched at line ${lineNumber} after normalizing whitespace and quotes)`
+          : `Successfully replaced 1 occurrence`,
         edit_metadata: {
           type: 'replace',
-          old_text: old_str,
+          old_text: oldText,
           new_text: new_str || '',
           start_pos: startPos,
           end_pos: endPos,
           line_number: lineNumber,
-          chars_removed: old_str.length,
+          chars_removed: oldText.length,
           chars_added: (new_str || '').length
         }
       };
 
+    case 'replace_all': {
+      const { regex, error } = compilePattern(command.pattern, command.ignore_case);
+      if (error) {
+        return { success: false, error };
+      }
+
+      const { matches, total, capped, error: searchError } = findPattern(content, regex);
+      if (searchError) {
+        return { success: false, error: searchError };
+      }
+      if (total === 0) {
+        return { success: false, error: 'No matches found for pattern - nothing was replaced.' };
+      }
+      if (capped) {
+        return {
+          success: false,
+          error: `More than ${MAX_PATTERN_MATCHES} matches - nothing was replaced. Narrow the pattern, or replace in smaller batches.`
+        };
+      }
+
+      const { expected_count } = command;
+      if (expected_count !== undefined && expected_count !== null && expected_count !== total) {
+        return {
+          success: false,
+          error: `Expected ${expected_count} match${expected_count === 1 ? '' : 'es'} but found ${total} - nothing was replaced. Check the matches and adjust the pattern or expected_count.`,
+          matches,
+          total_matches: total
+        };
+      }
+
+      const replacement = command.replacement || '';
+      const newContent = content.replace(regex, replacement);
+      const firstPos = content.search(regex);
+      return {
+        success: true,
+        content: newContent,
+        message: `Replaced ${total} match${total === 1 ? '' : 'es'}, starting at line ${matches[0].line}`,
+        edit_metadata: {
+          type: 'replace_all',
+          pattern: command.pattern,
+          replacement,
+          count: total,
+          start_pos: firstPos,
+          line_number: matches[0].line
+        }
+      };
+    }
+
     case 'insert':
       const { insert_line } = command;
       const insertContent = command.new_str || '';
@@ -150,11 +294,27 @@ function executeEditorCommand(command, content) {
         };
       }
 
+      // Described as a replacement of nothing so the editors can animate it.
+      // Past the last line the new text follows a line break instead.
+      const appending = insert_line === lines.length;
+      const insertPos = appending ? content.length : lineOffset(lines, insert_line);
+      const insertedText = appending ? `\n${insertContent}` : `${insertContent}\n`;
+
       lines.splice(insert_line, 0, insertContent);
       return {
         success: true,
         content: lines.join('\n'),
-        message: `Inserted content at line ${insert_line === 0 ? 'beginning' : `after line ${insert_line}`}`
+        message: `Inserted content at line ${insert_line === 0 ? 'beginning' : `after line ${insert_line}`}`,
+        edit_metadata: {
+          type: 'insert',
+          old_text: '',
+          new_text: insertedText,
+          start_pos: insertPos,
+          end_pos: insertPos,
+          line_number: insert_line + 1,
+          chars_removed: 0,
+          chars_added: insertedText.length
+        }
       };
 
     case 'delete_range':
@@ -171,11 +331,31 @@ function executeEditorCommand(command, content) {
         };
       }
 
+      // The deleted lines and one line break - the one before them when
+      // they run to the end of the content
+      let deleteStart = lineOffset(lines, start_line - 1);
+      let deleteEnd = lineOffset(lines, end_line);
+      if (end_line === lines.length) {
+        deleteStart = Math.max(deleteStart - 1, 0);
+        deleteEnd = content.length;
+      }
+      const deletedText = content.slice(deleteStart, deleteEnd);
+
       const deletedLines = lines.splice(start_line - 1, end_line - start_line + 1);
       return {
         success: true,
         content: lines.join('\n'),
-        message: `Deleted ${deletedLines.length} lines (${start_line}-${end_line})`
+        message: `Deleted ${deletedLines.length} lines (${start_line}-${end_line})`,
+        edit_metadata: {
+          type: 'delete_range',
+          old_text: deletedText,
+          new_text: '',
+          start_pos: deleteStart,
+          end_pos: deleteEnd,
+          line_number: start_line,
+          chars_removed: deletedText.length,
+          chars_added: 0
+        }
       };
 
     default:
@@ -183,16 +363,54 @@ function executeEditorCommand(command, content) {
   }
 }
 
+// Tools offered in update mode for each content type
+const EDITING_TOOLS = {
+  csv: [CSV_EDITOR_TOOL, TEXT_EDITOR_TOOL, ASK_USER_TOOL],
+  markdown: [MARKDOWN_SECTION_TOOL, TEXT_EDITOR_TOOL, ASK_USER_TOOL],
+};
+
+// Dispatch an editing tool call by tool name
+function executeTool(name, input, content) {
+  switch (name) {
+    case TEXT_EDITOR_TOOL.name:
+      return withReason(executeEditorCommand(input, content), input);
+    case CSV_EDITOR_TOOL.name:
+      return withReason(executeCsvCommand(input, content), input);
+    case MARKDOWN_SECTION_TOOL.name:
+      return withReason(executeMarkdownCommand(input, content), input);
+    default:
+      return { success: false, error: `Unknown tool: ${name}` };
+  }
+}
+
+// Claude's reason for an edit travels with its metadata, so the editors can
+// show it next to the change
+function withReason(result, input) {
+  const reason = typeof input.reason === 'string' ? input.reason.trim().slice(0, MAX_REASON_CHARS) : '';
+  if (reason && result.success && result.edit_metadata) {
+    result.edit_metadata.reason = reason;
+  }
+  return result;
+}
+
+// Read-only commands ('view', 'view_outline', 'view_section', 'find') never change the document
+function isViewCommand(command) {
+  return typeof command === 'string' && (command === 'view' || command === 'find' || command.startsWith('view_'));
+}
+
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     const url = new URL(request.url);
 
     // Health check endpoint
     if (url.pathname === '/' || url.pathname === '/health') {
+      const { provider, error: providerError } = createProvider(env);
       return new Response(JSON.stringify({
         status: 'ok',
         message: 'AI Sandbox Worker is running',
-        model: env.CLAUDE_MODEL || 'claude-haiku-4-5-20251001',
+        provider: provider?.name ?? null,
+        model: provider?.model ?? null,
+        ...(providerError ? { config_error: providerError } : {}),
         endpoint: '/api/generate',
         features: ['streaming', 'tool_use', 'prompt_caching', 'incremental_editing'],
         timestamp: new Date().toISOString()
@@ -200,7 +418,7 @@ export default {
         status: 200,
         headers: {
           'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
+          ...corsHeaders(request, env)
         }
       });
     }
@@ -210,80 +428,350 @@ export default {
       return new Response('Not found', { status: 404 });
     }
 
+    // Browser requests from origins outside ALLOWED_ORIGINS are refused outright
+    const cors = corsHeaders(request, env);
+    if (!cors) {
+      return new Response(JSON.stringify({ error: 'Origin not allowed' }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json', 'Vary': 'Origin' },
+      });
+    }
+
     // Handle CORS preflight
     if (request.method === 'OPTIONS') {
       return new Response(null, {
         headers: {
-          'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'POST, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type',
+          ...cors,
+          'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Last-Event-ID',
+        },
+      });
+    }
+
+    // Every API route needs a valid token once AUTH_TOKENS or AUTH_SECRET is set
+    const auth = await authenticate(request, env);
+    if (!auth.ok) {
+      return new Response(JSON.stringify({ error: auth.error }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer', ...cors },
+      });
+    }
+    // Budgets, streams and sessions belong to this caller
+    const client = await clientKey(request, auth);
+    const owner = sessionOwner(auth, client);
+
+    // Trade a static token for a signed, expiring one that can be handed out
+    if (url.pathname === '/api/token') {
+      if (request.method !== 'POST') {
+        return new Response('Method not allowed', { status: 405, headers: cors });
+      }
+      if (!env.AUTH_SECRET || auth.method !== 'token') {
+        return new Response(JSON.stringify({ error: 'Signed tokens need AUTH_SECRET and are issued to AUTH_TOKENS holders only' }), {
+          status: 403,
+          headers: { 'Content-Type': 'application/json', ...cors },
+        });
+      }
+
+      const { subject, ttl_seconds } = await request.json().catch(() => ({}));
+      const ttl = Math.min(Math.max(parseInt(ttl_seconds, 10) || 24 * 60 * 60, 60), 30 * 24 * 60 * 60);
+      const token = await signSessionToken(env.AUTH_SECRET, String(subject || 'user'), ttl);
+      return new Response(JSON.stringify({
+        token,
+        expires_at: new Date(Date.now() + ttl * 1000).toISOString()
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json', ...cors },
+      });
+    }
+
+    // Apply the proposals the user accepted from a propose mode instruction
+    const proposalsMatch = url.pathname.match(/^\/api\/session\/([^/]+)\/proposals$/);
+    if (proposalsMatch) {
+      if (request.method !== 'POST') {
+        return new Response('Method not allowed', { status: 405, headers: cors });
+      }
+
+      const sessions = createSessionStore(env);
+      const session = await sessions.get(decodeURIComponent(proposalsMatch[1]), owner);
+      if (!session) {
+        return new Response(JSON.stringify({ error: 'Session not found or expired' }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json', ...cors },
+        });
+      }
+
+      const { transaction_id, accepted } = await request.json().catch(() => ({}));
+      if (!Array.isArray(accepted)) {
+        return new Response(JSON.stringify({ error: 'accepted must be an array of proposal ids' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json', ...cors },
+        });
+      }
+
+      const proposal = session.proposal;
+      if (!proposal || proposal.transaction_id !== transaction_id) {
+        return new Response(JSON.stringify({ error: 'No proposals waiting for this transaction - they were applied or replaced' }), {
+          status: 409,
+          headers: { 'Content-Type': 'application/json', ...cors },
+        });
+      }
+
+      const result = applyProposals(proposal.proposals, accepted, proposal.original_document, executeTool);
+      session.document = result.content;
+      session.history = [
+        ...session.history,
+        { role: 'user', content: proposal.instruction },
+        {
+          role: 'assistant',
+          content: `${proposal.summary}\n(Applied ${result.applied.length} of ${proposal.proposals.length} proposed edits)`
+        }
+      ];
+      session.proposal = null;
+      await sessions.put(session);
+      console.log('Proposals applied', {
+        session: session.id,
+        transaction: transaction_id,
+        applied: result.applied.length,
+        skipped: result.skipped.length,
+        rejected: proposal.proposals.length - result.applied.length - result.skipped.length
+      });
+
+      return new Response(JSON.stringify({ ...result, history: session.history }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json', ...cors },
+      });
+    }
+
+    // Restore a session (document, history, pending question) after a page reload
+    const sessionMatch = url.pathname.match(/^\/api\/session\/([^/]+)$/);
+    if (sessionMatch) {
+      if (request.method !== 'GET') {
+        return new Response('Method not allowed', { status: 405, headers: cors });
+      }
+
+      const session = await createSessionStore(env).get(decodeURIComponent(sessionMatch[1]), owner);
+      if (!session) {
+        return new Response(JSON.stringify({ error: 'Session not found or expired' }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json', ...cors },
+        });
+      }
+
+      return new Response(JSON.stringify(publicSession(session)), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json', ...cors },
+      });
+    }
+
+    // Replay a running (or just finished) stream after a dropped connection,
+    // or cancel it
+    const streamMatch = url.pathname.match(/^\/api\/stream\/([^/]+)$/);
+    if (streamMatch) {
+      if (request.method !== 'GET' && request.method !== 'DELETE') {
+        return new Response('Method not allowed', { status: 405, headers: cors });
+      }
+
+      const stream = findStream(decodeURIComponent(streamMatch[1]), client);
+      if (!stream) {
+        return new Response(JSON.stringify({ error: 'Stream not found or expired' }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json', ...cors },
+        });
+      }
+
+      if (request.method === 'DELETE') {
+        console.log('Stream cancelled by client', { stream: stream.id });
+        stream.cancel();
+        return new Response(null, { status: 204, headers: cors });
+      }
+
+      // Only what is buffered - the live events belong to the request that
+      // started the stream, and no other request can write them
+      const lastEventId = parseInt(request.headers.get('Last-Event-ID'), 10) || 0;
+      const { text, running } = stream.replay(lastEventId);
+      console.log('Stream replayed', { stream: stream.id, lastEventId, running });
+
+      return new Response(text, {
+        headers: {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'X-Stream-State': running ? 'running' : 'ended',
+          ...cors,
+          'Access-Control-Expose-Headers': 'X-Stream-State',
         },
       });
     }
 
+    // Daily token and cost totals for the caller, and optionally one session
+    if (url.pathname === '/api/usage') {
+      if (request.method !== 'GET') {
+        return new Response('Method not allowed', { status: 405, headers: cors });
+      }
+
+      const day = url.searchParams.get('date') || usageDay();
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+        return new Response(JSON.stringify({ error: 'date must be YYYY-MM-DD' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json', ...cors },
+        });
+      }
+
+      const usages = createUsageStore(env);
+      const sessionId = url.searchParams.get('session_id');
+      // A session's usage is only shown to its owner
+      if (sessionId && !(await createSessionStore(env).get(sessionId, owner))) {
+        return new Response(JSON.stringify({ error: 'Session not found or expired' }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json', ...cors },
+        });
+      }
+      return new Response(JSON.stringify({
+        date: day,
+        client: await usages.get(day, 'client', client),
+        session: sessionId ? await usages.get(day, 'session', sessionId) : null
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json', ...cors },
+      });
+    }
+
     // Only allow POST requests for API
     if (request.method !== 'POST') {
-      return new Response('Method not allowed', { status: 405 });
+      return new Response('Method not allowed', { status: 405, headers: cors });
     }
 
     try {
-      const {
-        prompt,
-        messages,
-        contentType = 'csv',
-        conversation_state,
-        clarification_answer
-      } = await request.json();
-
-      // Support both single prompt (legacy) and messages array (new)
-      let claudeMessages;
-      if (messages && Array.isArray(messages)) {
-        // New format: use messages directly
-        // Add prompt caching to the content in the first user message
-        claudeMessages = messages.map((msg, idx) => {
-          if (idx === 0 && msg.role === 'user') {
-            // Parse content to extract current content for caching
-            let msgContent = msg.content;
-            if (typeof msgContent === 'string' && msgContent.includes('Current content:')) {
-              // Split into cacheable content and instruction
-              const parts = msgContent.split('\n\nInstruction: ');
-              if (parts.length === 2) {
-                const contentPart = parts[0].replace('Current content:\n', '');
-                return {
-                  role: 'user',
-                  content: [
-                    {
-                      type: 'text',
-                      text: `Current content:\n${contentPart}`,
-                      cache_control: { type: 'ephemeral' }  // Cache the content for 5 minutes
-                    },
-                    {
-                      type: 'text',
-                      text: `\n\nInstruction: ${parts[1]}`
-                    }
-                  ]
-                };
-              }
-            }
-          }
-          return msg;
+      // Throttle before spending anything on the request
+      const limiter = createRateLimiter(env, client);
+      const throttled = await limiter.consume('requests')
+        || await limiter.check('iterations')
+        || await limiter.check('tokens');
+      if (throttled) {
+        return new Response(JSON.stringify({
+          error: throttled.message,
+          budget: throttled.budget,
+          limit: throttled.limit,
+          retry_after: throttled.retry_after
+        }), {
+          status: 429,
+          headers: {
+            'Content-Type': 'application/json',
+            'Retry-After': String(throttled.retry_after),
+            ...cors,
+            'Access-Control-Expose-Headers': 'Retry-After',
+          },
         });
-      } else if (prompt) {
-        // Legacy format: convert to messages array
-        claudeMessages = [{ role: 'user', content: prompt }];
-      } else {
-        return new Response(JSON.stringify({ error: 'Either prompt or messages is required' }), {
+      }
+
+      let body;
+      try {
+        body = await request.json();
+      } catch (e) {
+        return new Response(JSON.stringify({ error: 'Request body must be valid JSON' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json', ...cors },
+        });
+      }
+
+      // Versioned requests are validated as-is; legacy prompt/messages bodies
+      // are adapted to the same shape first
+      const { request: editRequest, errors } = parseRequest(body);
+      if (errors) {
+        return new Response(JSON.stringify({ error: 'Invalid request', details: errors }), {
           status: 400,
-          headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
+          headers: { 'Content-Type': 'application/json', ...cors },
         });
       }
 
-      // Check if API key is available
-      if (!env.ANTHROPIC_API_KEY) {
-        console.error('ANTHROPIC_API_KEY is not set');
-        return new Response(JSON.stringify({ error: 'API key not configured' }), {
+      const {
+        contentType,
+        mode,
+        instruction,
+        document,
+        history,
+        session_id,
+        clarification_answer,
+        image,
+        references
+      } = editRequest;
+
+      // Uploaded images are checked before anything else happens - the size
+      // limit is configured per deployment
+      if (image) {
+        const problem = checkImage(image, imageMaxBytes(env));
+        if (problem) {
+          return new Response(JSON.stringify({ error: 'Invalid image', details: [problem.error] }), {
+            status: problem.status,
+            headers: { 'Content-Type': 'application/json', ...cors },
+          });
+        }
+      }
+
+      if (references) {
+        const problem = checkReferences(references, referenceMaxChars(env));
+        if (problem) {
+          return new Response(JSON.stringify({ error: 'Invalid references', details: [problem.error] }), {
+            status: problem.status,
+            headers: { 'Content-Type': 'application/json', ...cors },
+          });
+        }
+      }
+
+      // Load the caller's session, or start a new one. Only resuming a paused
+      // conversation requires the session to still exist.
+      const sessions = createSessionStore(env);
+      let session = session_id ? await sessions.get(session_id, owner) : null;
+
+      if (clarification_answer && !session?.pending) {
+        return new Response(JSON.stringify({ error: 'Session not found, expired, or not waiting for an answer' }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json', ...cors },
+        });
+      }
+
+      // The answer belongs to the paused edit - never start over without it
+      if (clarification_answer && session.contentType !== contentType) {
+        return new Response(JSON.stringify({
+          error: `The paused edit in this session is a ${session.contentType} document - resume it with contentType "${session.contentType}"`
+        }), {
+          status: 409,
+          headers: { 'Content-Type': 'application/json', ...cors },
+        });
+      }
+
+      if (!session || session.contentType !== contentType) {
+        session = newSession(contentType, owner);
+      }
+
+      // Attached references replace the session's; otherwise its own are reused
+      if (references) session.references = references;
+      const referenceDocs = session.references || [];
+
+      // The paused ask_user conversation being resumed, if any
+      const pending = clarification_answer ? session.pending : null;
+
+      // Check the answers against the questions that were asked
+      let clarificationAnswers = null;
+      if (pending) {
+        const { answers, error } = resolveAnswers(pending.questions || questionsFrom(pending), clarification_answer);
+        if (error) {
+          return new Response(JSON.stringify({ error: 'Invalid request', details: [error] }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...cors },
+          });
+        }
+        clarificationAnswers = answers;
+      }
+      // A resumed conversation keeps the mode it was started in
+      const proposing = (pending?.mode ?? mode) === 'propose';
+
+      // Check the model backend is configured (API key, server URL)
+      const { provider, error: providerError } = createProvider(env);
+      if (providerError) {
+        console.error('Provider not configured:', providerError);
+        return new Response(JSON.stringify({ error: providerError }), {
           status: 500,
-          headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
+          headers: { 'Content-Type': 'application/json', ...cors },
         });
       }
 
@@ -305,23 +793,29 @@ ONLY use the 'ask_user' tool if:
 - The instruction contradicts existing content in unclear ways
 
 Prefer creative autonomy - the user wants to see you make meaningful edits!
+When you do ask, offer the likely answers as options and ask everything you need in one ask_user call.
 </creative_autonomy_philosophy>
 
 <editing_workflow>
-1. FIRST use the 'view' command to see the current content
+1. FIRST use the csv_editor 'view' command to see the table with its row numbers
 2. Identify the MINIMAL changes needed to fulfill the user's request
-3. Use 'str_replace' to make precise edits (old_str must match EXACTLY)
-4. Use 'insert' to add new rows
-5. Use 'delete_range' to remove sections
-6. After all edits, provide a brief summary of what you changed
+3. Use csv_editor 'set_cell' to change individual values (by row number and column name)
+4. Use csv_editor 'insert_rows' / 'delete_rows' to add or remove rows
+5. Use csv_editor 'add_column', 'rename_column', 'reorder_columns' and 'sort_by' for column changes
+6. For the same change in many places (e.g. renaming every "Groceries" category to "Food"), use str_replace_editor 'find' to count the matches, then ONE 'replace_all' with that expected_count
+7. Fall back to str_replace_editor only for edits the csv_editor cannot express
+8. After all edits, provide a brief summary of what you changed
 </editing_workflow>
 
 <editing_rules>
 - Make ONE edit at a time for clarity
+- Give every edit a reason - one short sentence on why it is needed, which the user sees next to the change
 - NEVER regenerate the entire CSV - only make targeted changes
 - Maintain valid CSV format (headers, commas, quotes)
+- Row numbers count data rows from 1 (the header is not a row) and shift after inserts and deletes - view again if unsure
 - When using str_replace, include enough context to make old_str unique
 - Ensure old_str matches exactly (including whitespace and quotes)
+- If str_replace finds no match, use the candidates it returns (line numbers and text) instead of guessing; set match_mode 'normalized' when the only difference is whitespace or quotes
 - Preserve data integrity - don't accidentally modify unrelated rows
 </editing_rules>
 
@@ -330,6 +824,7 @@ Prefer creative autonomy - the user wants to see you make meaningful edits!
 - Use commas to separate values
 - Wrap values in quotes if they contain commas, quotes, or newlines
 - Escape internal quotes by doubling them ("")
+- The csv_editor handles quoting for you - pass raw, unquoted values
 </csv_guidelines>
 
 Remember: View first, edit incrementally, be creative and decisive!`,
@@ -350,23 +845,27 @@ ONLY use the 'ask_user' tool if:
 - The instruction contradicts existing content in unclear ways
 
 Prefer creative autonomy - the user wants to see you make meaningful edits!
+When you do ask, offer the likely answers as options and ask everything you need in one ask_user call.
 </creative_autonomy_philosophy>
 
 <editing_workflow>
-1. FIRST use the 'view' command to see the current content
-2. Identify the MINIMAL changes needed to fulfill the user's request
-3. Use 'str_replace' to make precise edits (old_str must match EXACTLY)
-4. Use 'insert' to add new sections
-5. Use 'delete_range' to remove sections
-6. After all edits, provide a brief summary of what you changed
+1. FIRST use the markdown_sections 'view_outline' command to see the heading tree
+2. Use 'view_section' (or the str_replace_editor 'view' command) to read the parts you need
+3. Identify the MINIMAL changes needed to fulfill the user's request
+4. Use 'str_replace' to make precise edits within a section (old_str must match EXACTLY)
+5. Use 'replace_section', 'insert_section_after', 'move_section' and 'delete_section' for whole sections - address them by heading path like "Installation > Linux" instead of guessing line numbers
+6. For the same change in many places, use str_replace_editor 'find' to count the matches, then ONE 'replace_all' with that expected_count
+7. After all edits, provide a brief summary of what you changed
 </editing_workflow>
 
 <editing_rules>
 - Make ONE edit at a time for clarity
+- Give every edit a reason - one short sentence on why it is needed, which the user sees next to the change
 - NEVER regenerate the entire document - only make targeted changes
 - Maintain proper Markdown syntax
 - When using str_replace, include enough context to make old_str unique
 - Ensure old_str matches exactly (including whitespace and formatting)
+- If str_replace finds no match, use the candidates it returns (line numbers and text) instead of guessing; set match_mode 'normalized' when the only difference is whitespace or quotes
 - Preserve document structure - don't accidentally modify unrelated sections
 </editing_rules>
 
@@ -380,176 +879,260 @@ Prefer creative autonomy - the user wants to see you make meaningful edits!
 Remember: View first, edit incrementally, be creative and decisive!`,
       };
 
-      const systemPrompt = systemPrompts[contentType] || systemPrompts.csv;
-
-      // Detect if we're in update mode (has existing content)
-      // Check the LAST user message, not the first (first is always the initial prompt)
-      const userMessages = claudeMessages.filter(m => m.role === 'user');
-      const lastMessage = userMessages[userMessages.length - 1];
-      const hasExistingContent = lastMessage?.content &&
-        (typeof lastMessage.content === 'string' ? lastMessage.content.includes('Current content:') :
-         (Array.isArray(lastMessage.content) && lastMessage.content.some(c => c.text?.includes('Current content:'))));
-
-      console.log('Mode detection:', {
-        hasExistingContent,
-        messageCount: claudeMessages.length,
-        userMessageCount: userMessages.length,
-        lastMessageType: typeof lastMessage?.content,
-        isArray: Array.isArray(lastMessage?.content),
-        contentPreview: typeof lastMessage?.content === 'string' ?
-          lastMessage.content.substring(0, 100) :
-          JSON.stringify(lastMessage?.content).substring(0, 100)
+      const systemPrompt = withReferences(proposing
+        ? systemPrompts[contentType] + PROPOSAL_INSTRUCTIONS
+        : systemPrompts[contentType], referenceDocs);
+      const editingTools = EDITING_TOOLS[contentType];
+
+      console.log('Request:', {
+        mode,
+        contentType,
+        session: session.id,
+        resuming: Boolean(pending),
+        historyLength: history.length,
+        documentLength: document.length,
+        image: image ? image.media_type : null,
+        references: referenceDocs.length
       });
 
-      // Stream the response back to the client
+      // Stream the response back to the client. The events are buffered so a
+      // dropped connection can resume; events.signal aborts (and cancels model
+      // calls) once the browser is gone for good.
       const { readable, writable } = new TransformStream();
-      const writer = writable.getWriter();
-      const encoder = new TextEncoder();
+      const events = createEventStream({ client, windowMs: resumeWindowMs(env) });
+      events.attach(writable.getWriter(), request.signal);
+      // Every save below records the stream, so a client that lost it can
+      // tell from the session when the instruction is over
+      session.last_stream_id = events.id;
+
+      // Tell the client what the request cost and add it to the daily totals
+      const model = provider.model;
+      const usages = createUsageStore(env);
+      // Announce each retry of an overloaded or rate-limited model call
+      const reportRetry = (retry) => events.send('retrying', retry);
+
+      // Tokens spent after a disconnect still count towards the totals.
+      // Reported once per request, however the stream ends.
+      let usageReported = false;
+      const reportUsage = async (usage, turns) => {
+        if (usageReported) return;
+        usageReported = true;
+        const event = usageEvent(model, usage, turns);
+        await usages.record({ session: session.id, client, usage, turns, cost: event.cost_usd })
+          .catch(err => console.error('Usage record failed:', err));
+        if (!events.disconnected) await events.send('usage', event);
+      };
+
+      // Note in the session how far an instruction got before the browser left
+      const stopInfo = (details) => ({
+        reason: events.stopReason,
+        mode,
+        stopped_at: new Date().toISOString(),
+        ...details
+      });
 
       // Use different strategies based on mode
-      if (!hasExistingContent) {
+      if (mode === 'generate') {
         // GENERATE MODE: Stream text directly without tools
-        (async () => {
+        // Earlier turns are replayed before the new instruction; the end of the
+        // history is marked as a cache breakpoint so follow-ups reuse it
+        const generateMessages = history.map((msg, idx) => (
+          idx === history.length - 1
+            ? {
+                role: msg.role,
+                content: [{
+                  type: 'text',
+                  text: msg.content,
+                  cache_control: { type: 'ephemeral' }  // Cache the history for 5 minutes
+                }]
+              }
+            : msg
+        ));
+        // An uploaded image is transcribed rather than written from scratch
+        generateMessages.push(image
+          ? extractionMessage(contentType, image, instruction)
+          : { role: 'user', content: instruction });
+        // The session history only keeps text
+        const historyInstruction = image ? extractionInstruction(contentType, instruction) : instruction;
+
+        // waitUntil keeps the work going while a dropped client reconnects
+        ctx.waitUntil((async () => {
+          let generatedText = '';
           try {
-            const response = await fetch('https://api.anthropic.com/v1/messages', {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-                'anthropic-version': '2023-06-01',
-                'x-api-key': env.ANTHROPIC_API_KEY,
-              },
-              body: JSON.stringify({
-                model: env.CLAUDE_MODEL || 'claude-haiku-4-5-20251001',
-                max_tokens: contentType === 'markdown' ? 8192 : 4096,
-                temperature: 0.7,
-                system: contentType === 'csv'
-                  ? 'You are a helpful AI assistant that generates CSV data. Generate valid CSV with headers in the first row. Use commas to separate values. Wrap values in quotes if they contain commas. Be creative and generate realistic sample data. Only output the CSV data, no explanations.'
-                  : 'You are a helpful AI assistant that generates Markdown content. Use proper Markdown syntax. Only output the Markdown content, no explanations.',
-                messages: claudeMessages,
-                stream: true,
-              }),
+            // Tell the client which session this document belongs to
+            await events.send('session', {
+              session_id: session.id,
+              protocol: PROTOCOL_VERSION,
+              stream_id: events.id
             });
 
-            if (!response.ok) {
-              const error = await response.text();
-              await writer.write(encoder.encode(`data: ${JSON.stringify({
+            const reply = await provider.createMessage({
+              max_tokens: contentType === 'markdown' ? 8192 : 4096,
+              temperature: image ? 0 : 0.7,
+              system: withReferences(image
+                ? EXTRACTION_PROMPTS[contentType]
+                : contentType === 'csv'
+                  ? 'You are a helpful AI assistant that generates CSV data. Generate valid CSV with headers in the first row. Use commas to separate values. Wrap values in quotes if they contain commas. Be creative and generate realistic sample data. Only output the CSV data, no explanations.'
+                  : 'You are a helpful AI assistant that generates Markdown content. Use proper Markdown syntax. Only output the Markdown content, no explanations.', referenceDocs),
+              messages: generateMessages,
+            }, {
+              onText: (text) => {
+                generatedText += text;
+                return events.send('content_delta', { text });
+              },
+              onRetry: reportRetry
+            }, { signal: events.signal });
+
+            if (!reply.ok) {
+              await sessions.put(session).catch(err => console.error('Session save failed:', err));
+              await events.send('error', {
                 error: 'API request failed',
-                details: error.substring(0, 200)
-              })}\n\n`));
-              await writer.close();
+                details: reply.details.substring(0, 200)
+              });
+              await events.done();
               return;
             }
 
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let buffer = '';
-
-            while (true) {
-              const { done, value } = await reader.read();
-              if (done) break;
-
-              buffer += decoder.decode(value, { stream: true });
-              const lines = buffer.split('\n');
-              buffer = lines.pop() || '';
-
-              for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                  const data = line.slice(6);
-                  if (data === '[DONE]') continue;
-
-                  try {
-                    const parsed = JSON.parse(data);
-                    if (parsed.type === 'content_block_delta' && parsed.delta?.type === 'text_delta') {
-                      await writer.write(encoder.encode(`data: ${JSON.stringify({
-                        text: parsed.delta.text
-                      })}\n\n`));
-                    }
-                  } catch (e) {
-                    // Skip invalid JSON
-                  }
-                }
-              }
-            }
-
-            await writer.write(encoder.encode('data: [DONE]\n\n'));
-            await writer.close();
+            const totalUsage = addUsage(emptyUsage(), reply.message.usage);
+            await limiter.consume('tokens', totalUsage.input_tokens + totalUsage.output_tokens);
+
+            // Remember the generated document for follow-up edits and reloads
+            session.document = generatedText;
+            session.history = [
+              ...history,
+              { role: 'user', content: historyInstruction },
+              { role: 'assistant', content: generatedText }
+            ];
+            session.pending = null;
+            session.last_stop = null;
+            await sessions.put(session);
+
+            await reportUsage(totalUsage, 1);
+            await events.done();
           } catch (error) {
+            if (events.disconnected) {
+              // The partial document is dropped - the browser kept what it saw
+              console.log('Client gone - generation stopped', {
+                reason: events.stopReason,
+                session: session.id,
+                generatedChars: generatedText.length
+              });
+              session.last_stop = stopInfo({ instruction: historyInstruction, generated_chars: generatedText.length });
+              await sessions.put(session).catch(err => console.error('Session save failed:', err));
+              return;
+            }
             console.error('Streaming error:', error);
-            await writer.write(encoder.encode(`data: ${JSON.stringify({ error: error.message })}\n\n`));
-            await writer.abort(error);
+            await sessions.put(session).catch(err => console.error('Session save failed:', err));
+            await events.send('error', { error: error.message });
+            await events.abort(error);
           }
-        })();
+        })());
       } else {
         // UPDATE MODE: Use tool use loop for incremental editing
-        (async () => {
+        // Every instruction is one transaction: the client applies each
+        // content_update as it arrives, then keeps the batch on
+        // transaction_commit or reverts it on transaction_rollback. A
+        // clarification pause carries the id over to the resumed request.
+        // PROPOSE MODE runs the same loop on a copy and ends with the list
+        // of proposed edits instead.
+        const transactionId = pending?.transaction_id || crypto.randomUUID();
+        const proposals = pending?.proposals || [];
+
+        // The instruction, starting document and history survive a pause
+        const editInstruction = pending ? pending.instruction : instruction;
+        const originalDocument = pending ? pending.original_document : document;
+        const baseHistory = pending ? pending.history : history;
+
+        // Save where the session ended up - the edited document on commit,
+        // the original one on rollback
+        const saveSession = async (finalDocument, summary, lastStop = null) => {
+          session.document = finalDocument;
+          session.history = summary === null ? baseHistory : [
+            ...baseHistory,
+            { role: 'user', content: editInstruction },
+            { role: 'assistant', content: summary }
+          ];
+          session.pending = null;
+          session.proposal = null;
+          session.last_stop = lastStop;
+          await sessions.put(session);
+        };
+
+        // Keep the proposals for review - the document stays as it was until
+        // the user applies the ones they accept
+        const saveProposals = async (summary) => {
+          session.document = originalDocument;
+          session.history = baseHistory;
+          session.pending = null;
+          session.proposal = {
+            transaction_id: transactionId,
+            instruction: editInstruction,
+            summary,
+            original_document: originalDocument,
+            proposals
+          };
+          session.last_stop = null;
+          await sessions.put(session);
+        };
+
+        ctx.waitUntil((async () => {
+          const requestUsage = emptyUsage(); // Summed over every turn
+          let turns = 0;
+          let edits = 0;
+          let paused = false;
           try {
             let currentContent = '';
             let conversationMessages = [];
+            let rollbackReason = null;
+            let summaryText = '';
+
+            await events.send('session', {
+              session_id: session.id,
+              protocol: PROTOCOL_VERSION,
+              stream_id: events.id
+            });
 
             // Check if we're resuming from a clarification
-            if (conversation_state && clarification_answer) {
+            if (pending) {
               // RESUMING from clarification
               console.log('Resuming conversation after clarification');
 
-              currentContent = conversation_state.content;
-              conversationMessages = conversation_state.messages || [];
+              currentContent = pending.content;
+              conversationMessages = pending.messages || [];
 
               // Add the assistant's message with the ask_user tool call
               conversationMessages.push({
                 role: 'assistant',
-                content: conversation_state.assistant_message
+                content: pending.assistant_message
               });
 
-              // Add the user's answer as a tool result
+              // Add the user's answer as a tool result, together with the results
+              // of any edits that ran in the same turn as the question
               conversationMessages.push({
                 role: 'user',
-                content: [{
-                  type: 'tool_result',
-                  tool_use_id: conversation_state.tool_use_id,
-                  content: JSON.stringify({
-                    success: true,
-                    answer: clarification_answer,
-                    message: `User provided clarification: "${clarification_answer}"`
-                  })
-                }]
+                content: [
+                  ...(pending.tool_results || []),
+                  {
+                    type: 'tool_result',
+                    tool_use_id: pending.tool_use_id,
+                    content: JSON.stringify(answerResult(clarificationAnswers))
+                  }
+                ]
               });
             } else {
               // STARTING new edit session
-              // Find the LAST user message (most recent) which contains the actual content
-              const userMessages = claudeMessages.filter(m => m.role === 'user' && m.content);
-              const lastUserMessage = userMessages[userMessages.length - 1]?.content || '';
-
-              // Extract the actual content and instruction from the last message
-              let instruction = '';
-
-              if (typeof lastUserMessage === 'string') {
-                const parts = lastUserMessage.split('\n\nInstruction: ');
-                if (parts.length === 2) {
-                  currentContent = parts[0].replace('Current content:\n', '').trim();
-                  instruction = parts[1].trim();
-                } else {
-                  // Fallback if format is different
-                  currentContent = lastUserMessage;
-                  instruction = 'Edit as requested';
-                }
-              } else if (Array.isArray(lastUserMessage)) {
-                // Extract from content array format
-                const texts = lastUserMessage
-                  .filter(c => c.type === 'text')
-                  .map(c => c.text)
-                  .join('\n');
-                const parts = texts.split('\n\nInstruction: ');
-                if (parts.length === 2) {
-                  currentContent = parts[0].replace('Current content:\n', '').trim();
-                  instruction = parts[1].trim();
-                }
+              currentContent = document;
+
+              // Start a fresh conversation for editing. Earlier turns come
+              // along as a compact digest rather than full messages, and the
+              // content is not provided upfront - Claude views it using tools
+              const digest = summarizeHistory(baseHistory, historyTokenLimit(env));
+              if (digest?.compacted) {
+                console.log('History compacted:', { turns: digest.turns, length: digest.text.length });
               }
-
-              // Create a FRESH conversation for editing (no history!)
-              // Don't provide content upfront - let Claude view it using tools
               conversationMessages = [{
                 role: 'user',
-                content: instruction
+                content: instructionMessage(instruction, digest)
               }];
             }
 
@@ -557,106 +1140,231 @@ Remember: View first, edit incrementally, be creative and decisive!`,
             let iterationCount = 0;
             const MAX_ITERATIONS = 10; // Safety limit to prevent infinite loops
             // When resuming, we're NOT on first iteration (already did ask_user)
-            let firstIteration = !(conversation_state && clarification_answer);
+            let firstIteration = !pending;
 
           while (toolUseLoop && iterationCount < MAX_ITERATIONS) {
+            // Don't start another turn for a browser that has gone
+            events.signal.throwIfAborted();
             iterationCount++;
 
-            // Call Claude API with tool support
-            const response = await fetch('https://api.anthropic.com/v1/messages', {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-                'anthropic-version': '2023-06-01',
-                'x-api-key': env.ANTHROPIC_API_KEY,
+            // Every turn spends budget - stop cleanly once the client is out
+            const turnThrottled = await limiter.consume('iterations')
+              || await limiter.check('tokens');
+            if (turnThrottled) {
+              await events.send('rate_limited', {
+                error: turnThrottled.message,
+                budget: turnThrottled.budget,
+                retry_after: turnThrottled.retry_after
+              });
+              rollbackReason = 'rate_limited';
+              break;
+            }
+
+            // Stream the turn so the editor sees the summary and tool input
+            // being written instead of waiting for the whole message
+            const progressBuckets = new Map();
+            let turnHasText = false;
+            const reply = await provider.createMessage({
+              max_tokens: 4096,
+              temperature: 0.7,
+              system: systemPrompt,
+              messages: conversationMessages,
+              tools: editingTools,
+              // Force tool use ONLY on first iteration, then let Claude decide when to stop
+              tool_choice: firstIteration ? { type: "any" } : { type: "auto" },
+            }, {
+              onText: (text) => {
+                // Each turn's text is its own paragraph of the summary
+                if (!turnHasText && summaryText) text = `\n\n${text}`;
+                turnHasText = true;
+                summaryText += text;
+                return events.send('text', {
+                  text
+                });
               },
-              body: JSON.stringify({
-                model: env.CLAUDE_MODEL || 'claude-haiku-4-5-20251001',
-                max_tokens: 4096,
-                temperature: 0.7,
-                system: systemPrompt,
-                messages: conversationMessages,
-                tools: [TEXT_EDITOR_TOOL, ASK_USER_TOOL],
-                // Force tool use ONLY on first iteration, then let Claude decide when to stop
-                tool_choice: firstIteration ? { type: "any" } : { type: "auto" }
+              onToolStart: (block) => events.send('tool_composing', {
+                tool: block.name,
+                tool_use_id: block.id,
+                input_chars: 0
               }),
-            });
+              onToolInputDelta: async (block, inputChars) => {
+                // Throttle progress events to roughly one per 256 characters
+                const bucket = Math.floor(inputChars / 256);
+                if (progressBuckets.get(block.id) === bucket) return;
+                progressBuckets.set(block.id, bucket);
+                await events.send('tool_composing', {
+                  tool: block.name,
+                  tool_use_id: block.id,
+                  input_chars: inputChars
+                });
+              },
+              // Retries repeat this turn only - earlier edits are kept
+              onRetry: reportRetry
+            }, { signal: events.signal });
 
             firstIteration = false; // After first iteration, switch to auto mode
 
-            if (!response.ok) {
-              const error = await response.text();
-              console.error('Claude API error:', response.status, error);
-              await writer.write(encoder.encode(`data: ${JSON.stringify({
+            if (!reply.ok) {
+              console.error('Model API error:', reply.status, reply.details);
+              await events.send('error', {
                 error: 'API request failed',
-                details: error.substring(0, 200)
-              })}\n\n`));
+                details: reply.details.substring(0, 200)
+              });
+              rollbackReason = 'api_error';
               break;
             }
 
-            const result = await response.json();
-            console.log('Claude response:', JSON.stringify(result, null, 2));
+            const result = reply.message;
+
+            console.log('Model response:', JSON.stringify(result, null, 2));
+            addUsage(requestUsage, result.usage);
+            turns++;
+            await limiter.consume('tokens', (result.usage.input_tokens || 0) + (result.usage.output_tokens || 0));
 
             // Check stop reason
             if (result.stop_reason === 'tool_use') {
-              // Claude wants to use a tool
-              const toolUseBlock = result.content.find(block => block.type === 'tool_use');
+              // Claude may emit several tool calls in one turn - every one of them
+              // needs a matching tool_result in the next user message
+              const toolUseBlocks = result.content.filter(block => block.type === 'tool_use');
+              const askUserBlock = toolUseBlocks.find(block => block.name === 'ask_user' && questionsFrom(block.input).length > 0);
+              const toolResults = [];
+
+              // What Claude wrote before each tool call explains a proposal whose
+              // edit has no reason of its own
+              const rationales = new Map();
+              let said = '';
+              for (const block of result.content) {
+                if (block.type === 'text') {
+                  said += block.text;
+                } else if (block.type === 'tool_use') {
+                  rationales.set(block.id, said.trim());
+                  said = '';
+                }
+              }
 
-              if (toolUseBlock) {
-                // Check if this is an ask_user tool call
+              // Execute edits in the order Claude issued them, even when the same
+              // turn also asks a question - the question is handled afterwards
+              for (const toolUseBlock of toolUseBlocks) {
                 if (toolUseBlock.name === 'ask_user') {
-                  // Send clarification request to frontend
-                  await writer.write(encoder.encode(`data: ${JSON.stringify({
-                    type: 'clarification_needed',
-                    question: toolUseBlock.input.question,
-                    why_asking: toolUseBlock.input.why_asking || '',
-                    conversation_state: {
-                      messages: conversationMessages,
-                      content: currentContent,
+                  if (toolUseBlock !== askUserBlock) {
+                    // Only one ask_user call can be shown at a time
+                    toolResults.push({
+                      type: 'tool_result',
                       tool_use_id: toolUseBlock.id,
-                      assistant_message: result.content
-                    }
-                  })}\n\n`));
-
-                  // Send DONE to close stream - frontend will reopen with answer
-                  await writer.write(encoder.encode('data: [DONE]\n\n'));
-                  await writer.close();
-                  return; // Exit the tool loop - will resume when user responds
+                      content: JSON.stringify({
+                        success: false,
+                        error: questionsFrom(toolUseBlock.input).length === 0
+                          ? 'ask_user needs a question, or a questions array with at least one question.'
+                          : 'Only one ask_user call can be answered at a time. Put related questions in one call with questions, or ask again after the first one is answered.'
+                      }),
+                      is_error: true
+                    });
+                  }
+                  continue;
                 }
 
                 // Send tool use notification to frontend
-                await writer.write(encoder.encode(`data: ${JSON.stringify({
-                  type: 'tool_use',
+                await events.send('tool_use', {
                   tool: toolUseBlock.name,
                   command: toolUseBlock.input.command,
                   status: 'executing'
-                })}\n\n`));
+                });
 
                 // Execute the editor tool
-                const toolResult = executeEditorCommand(toolUseBlock.input, currentContent);
+                const toolResult = executeTool(toolUseBlock.name, toolUseBlock.input, currentContent);
 
                 // Update current content if edit was successful
-                if (toolResult.success && toolResult.content !== undefined) {
+                if (toolResult.success && toolResult.content !== undefined && !isViewCommand(toolUseBlock.input.command)) {
+                  if (proposing && toolResult.content !== currentContent) {
+                    proposals.push(createProposal(
+                      proposals.length + 1,
+                      toolUseBlock,
+                      toolResult.edit_metadata?.reason || rationales.get(toolUseBlock.id) || '',
+                      currentContent,
+                      toolResult.content,
+                      toolResult.edit_metadata
+                    ));
+                  }
                   currentContent = toolResult.content;
+                  edits++;
+
+                  // Check the edited document so Claude can repair structural damage
+                  const validation = validateDocument(contentType, currentContent);
+                  if (!validation.valid) {
+                    toolResult.validation = {
+                      ...validation,
+                      note: 'The edit was applied, but the document now has structural problems. Fix them before finishing.'
+                    };
+                  }
 
-                  // Send updated content to frontend with edit metadata for visualization
-                  await writer.write(encoder.encode(`data: ${JSON.stringify({
-                    type: 'content_update',
-                    content: currentContent,
-                    edit: toolResult.edit_metadata  // Include metadata for visual feedback
-                  })}\n\n`));
+                  // Send updated content to frontend with edit metadata for visualization.
+                  // Proposals are only sent once the instruction is finished.
+                  if (!proposing) {
+                    await events.send('content_update', {
+                      transaction_id: transactionId,
+                      content: currentContent,
+                      edit: toolResult.edit_metadata  // Include metadata for visual feedback
+                    });
+                  }
                 }
 
                 // Only send tool_result event for actual edit commands (not view)
-                if (toolUseBlock.input.command !== 'view') {
-                  await writer.write(encoder.encode(`data: ${JSON.stringify({
-                    type: 'tool_result',
+                if (!isViewCommand(toolUseBlock.input.command)) {
+                  await events.send('tool_result', {
                     success: toolResult.success,
                     message: toolResult.message || toolResult.error
-                  })}\n\n`));
+                  });
                 }
 
-                // Add assistant message and tool result to conversation
+                toolResults.push({
+                  type: 'tool_result',
+                  tool_use_id: toolUseBlock.id,
+                  content: JSON.stringify(toolResult)
+                });
+              }
+
+              if (askUserBlock) {
+                const questions = questionsFrom(askUserBlock.input);
+
+                // Park the conversation in the session. The results of any edits
+                // made in this turn are kept so they can be returned alongside
+                // the answer when the conversation resumes.
+                session.document = proposing ? originalDocument : currentContent;
+                session.pending = {
+                  mode: proposing ? 'propose' : 'update',
+                  proposals,
+                  messages: conversationMessages,
+                  content: currentContent,
+                  tool_use_id: askUserBlock.id,
+                  tool_results: toolResults,
+                  assistant_message: result.content,
+                  transaction_id: transactionId,
+                  questions,
+                  // The first question, for clients that only show one
+                  question: questions[0].question,
+                  why_asking: questions[0].why_asking,
+                  instruction: editInstruction,
+                  original_document: originalDocument,
+                  history: baseHistory
+                };
+                await sessions.put(session);
+                paused = true;
+
+                await events.send('clarification_needed', {
+                  question: questions[0].question,
+                  why_asking: questions[0].why_asking,
+                  questions,
+                  session_id: session.id
+                });
+
+                // Send DONE to close stream - frontend will reopen with answer
+                await reportUsage(requestUsage, turns);
+                await events.done();
+                return; // Exit the tool loop - will resume when user responds
+              }
+
+              if (toolResults.length > 0) {
+                // Add assistant message and all tool results to conversation
                 conversationMessages.push({
                   role: 'assistant',
                   content: result.content
@@ -664,11 +1372,7 @@ Remember: View first, edit incrementally, be creative and decisive!`,
 
                 conversationMessages.push({
                   role: 'user',
-                  content: [{
-                    type: 'tool_result',
-                    tool_use_id: toolUseBlock.id,
-                    content: JSON.stringify(toolResult)
-                  }]
+                  content: toolResults
                 });
 
                 // Continue the loop for next tool use or final response
@@ -676,39 +1380,84 @@ Remember: View first, edit incrementally, be creative and decisive!`,
               }
             }
 
-            // Final response - stream any text content
-            const textBlocks = result.content.filter(block => block.type === 'text');
-            for (const block of textBlocks) {
-              if (block.text) {
-                await writer.write(encoder.encode(`data: ${JSON.stringify({
-                  type: 'text',
-                  text: block.text
-                })}\n\n`));
-              }
-            }
-
-            // Exit loop
+            // Final response - the summary text was already streamed as it arrived
             toolUseLoop = false;
           }
 
-          // Check if we hit max iterations (safety limit)
-          if (iterationCount >= MAX_ITERATIONS) {
-            await writer.write(encoder.encode(`data: ${JSON.stringify({
-              type: 'text',
+          // Check if we hit max iterations (safety limit) before Claude finished
+          if (toolUseLoop && !rollbackReason) {
+            rollbackReason = 'max_iterations';
+            await events.send('text', {
               text: `\n\n(Reached maximum iteration limit of ${MAX_ITERATIONS} edits for safety)`
-            })}\n\n`));
+            });
           }
 
-          await writer.write(encoder.encode('data: [DONE]\n\n'));
-          await writer.close();
+          if (rollbackReason) {
+            await saveSession(originalDocument, null);
+            await events.send('transaction_rollback', {
+              transaction_id: transactionId,
+              reason: rollbackReason
+            });
+          } else if (proposing && proposals.length > 0) {
+            await saveProposals(summaryText.trim() || 'Proposed edits');
+            await events.send('proposals', {
+              transaction_id: transactionId,
+              proposals: proposals.map(publicProposal)
+            });
+          } else {
+            await saveSession(currentContent, summaryText.trim() || 'Document updated');
+
+            // Report any problems Claude did not fix
+            const finalValidation = validateDocument(contentType, currentContent);
+            if (!finalValidation.valid) {
+              await events.send('validation_warnings', {
+                issues: finalValidation.issues,
+                total_issues: finalValidation.total_issues
+              });
+            }
+
+            await events.send('transaction_commit', {
+              transaction_id: transactionId,
+              content: currentContent
+            });
+          }
+
+          await reportUsage(requestUsage, turns);
+          await events.done();
         } catch (error) {
+          if (events.disconnected) {
+            // Nobody will see the rest - stop calling the model. The browser
+            // reverts the batch, so the session does too; a question that was
+            // already saved stays open for the next visit.
+            console.log('Client gone - edit stopped', {
+              reason: events.stopReason,
+              session: session.id,
+              transaction: transactionId,
+              turns,
+              edits
+            });
+            if (!paused) {
+              await saveSession(originalDocument, null, stopInfo({
+                instruction: editInstruction,
+                transaction_id: transactionId,
+                turns,
+                edits
+              })).catch(err => console.error('Session save failed:', err));
+            }
+            await reportUsage(requestUsage, turns);
+            return;
+          }
           console.error('Tool use loop error:', error);
-          await writer.write(encoder.encode(`data: ${JSON.stringify({
-            error: error.message
-          })}\n\n`));
-          await writer.abort(error);
+          // Best effort - the edit is rolled back either way
+          await saveSession(originalDocument, null).catch(err => console.error('Session save failed:', err));
+          await events.send('transaction_rollback', {
+            transaction_id: transactionId,
+            reason: 'error'
+          });
+          await events.send('error', { error: error.message });
+          await events.abort(error);
         }
-      })();
+      })());
       }
 
       return new Response(readable, {
@@ -716,7 +1465,7 @@ Remember: View first, edit incrementally, be creative and decisive!`,
           'Content-Type': 'text/event-stream',
           'Cache-Control': 'no-cache',
           'Connection': 'keep-alive',
-          'Access-Control-Allow-Origin': '*',
+          ...cors,
         },
       });
 
@@ -726,7 +1475,7 @@ Remember: View first, edit incrementally, be creative and decisive!`,
         status: 500,
         headers: {
           'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
+          ...cors,
         },
       });
     }
@@ -0,0 +1,325 @@
+/**
+ * Markdown section tool - edits addressed by the heading tree
+ *
+ * Sections are identified by heading path, e.g. "Installation > Linux", instead
+ * of line numbers. A section runs from its heading to the line before the next
+ * heading of the same or a higher level, so it includes its subsections.
+ * Headings inside fenced code blocks are ignored.
+ */
+
+export const MARKDOWN_SECTION_TOOL = {
+  name: "markdown_sections",
+  description: "Structured editor for Markdown documents that addresses content by heading path (e.g. \"Installation > Linux\") instead of line numbers. A section includes its heading and all of its subsections. Prefer this over str_replace_editor for adding, replacing, moving or removing whole sections.",
+  input_schema: {
+    type: "object",
+    properties: {
+      command: {
+        type: "string",
+        enum: ["view_outline", "view_section", "replace_section", "insert_section_after", "move_section", "delete_section"],
+        description: "The command to execute"
+      },
+      reason: {
+        type: "string",
+        description: "For commands that change the document: one short sentence on why this edit is needed. It is shown to the user next to the change."
+      },
+      path: {
+        type: "string",
+        description: "Heading path of the section, from outer to inner heading separated by ' > ' (e.g. \"Installation > Linux\"). Intermediate headings may be skipped if the last one is unique."
+      },
+      content: {
+        type: "string",
+        description: "For 'replace_section' and 'insert_section_after': the Markdown for the section, starting with its heading line. For 'replace_section' the original heading is kept if content does not start with a heading."
+      },
+      target_path: {
+        type: "string",
+        description: "For 'move_section': heading path of the section to move next to"
+      },
+      position: {
+        type: "string",
+        enum: ["before", "after"],
+        description: "For 'move_section': place the section before or after target_path (default 'after')"
+      }
+    },
+    required: ["command"]
+  }
+};
+
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+const PATH_SEPARATOR = '>';
+
+function normalizeTitle(title) {
+  return title.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Build the heading tree of a document.
+ * Each section has { title, level, start, end, path } with 0-based inclusive
+ * line indexes; path is the list of heading titles from the outermost down.
+ */
+export function parseOutline(content) {
+  const lines = content.split('\n');
+  const sections = [];
+  const stack = [];
+  let fence = null;
+
+  lines.forEach((line, idx) => {
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fenceMatch) {
+      const marker = fenceMatch[1];
+      if (!fence) {
+        fence = marker;
+      } else if (marker[0] === fence[0] && marker.length >= fence.length) {
+        fence = null;
+      }
+      return;
+    }
+    if (fence) return;
+
+    const match = line.match(HEADING_PATTERN);
+    if (!match) return;
+
+    const level = match[1].length;
+    const title = (match[2] || '').trim();
+
+    // Close every open section at the same or a deeper level
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+      stack.pop().end = idx - 1;
+    }
+
+    const section = {
+      title,
+      level,
+      start: idx,
+      end: lines.length - 1,
+      path: [...stack.map(s => s.title), title]
+    };
+    sections.push(section);
+    stack.push(section);
+  });
+
+  return { lines, sections };
+}
+
+/**
+ * Resolve a heading path to a single section.
+ * Returns { section } or { error } describing the missing or ambiguous match.
+ */
+function findSection(sections, path) {
+  if (typeof path !== 'string' || !path.trim()) {
+    return { error: 'path is required (e.g. "Installation > Linux")' };
+  }
+
+  const wanted = path.split(PATH_SEPARATOR).map(normalizeTitle).filter(Boolean);
+  const target = wanted[wanted.length - 1];
+
+  const matches = sections.filter(section => {
+    if (normalizeTitle(section.title) !== target) return false;
+    // Remaining segments must appear among the ancestors, in order
+    let cursor = 0;
+    for (const ancestor of section.path.slice(0, -1)) {
+      if (cursor < wanted.length - 1 && normalizeTitle(ancestor) === wanted[cursor]) cursor++;
+    }
+    return cursor === wanted.length - 1;
+  });
+
+  if (matches.length === 1) {
+    return { section: matches[0] };
+  }
+
+  // Prefer the section whose direct parents spell out the path exactly
+  const exact = matches.filter(section => section.path
+    .slice(-wanted.length)
+    .map(normalizeTitle)
+    .every((title, idx) => title === wanted[idx]) && section.path.length >= wanted.length);
+  if (wanted.length > 1 && exact.length === 1) {
+    return { section: exact[0] };
+  }
+
+  if (matches.length === 0) {
+    const available = sections.map(section => `"${section.path.join(' > ')}"`).join(', ');
+    return { error: `No section matches "${path}". Available sections: ${available || '(document has no headings)'}` };
+  }
+  return {
+    error: `"${path}" matches ${matches.length} sections: ${matches.map(s => `"${s.path.join(' > ')}" (line ${s.start + 1})`).join(', ')}. Add parent headings to the path to pick one.`
+  };
+}
+
+function sectionText(lines, section) {
+  return lines.slice(section.start, section.end + 1).join('\n');
+}
+
+// Split new section content into lines, dropping leading/trailing blank lines
+function blockLines(text) {
+  return text.replace(/^\s*\n/, '').replace(/\s+$/, '').split('\n');
+}
+
+// Insert a block of lines, padding with blank lines so it stays a separate block
+function spliceBlock(lines, at, deleteCount, block) {
+  // Appending at the very end goes before the trailing newline
+  if (deleteCount === 0 && at === lines.length && at > 0 && lines[at - 1] === '') at--;
+
+  const padded = [...block];
+  if (at > 0 && lines[at - 1].trim() !== '') padded.unshift('');
+  const after = lines[at + deleteCount];
+  if (after !== undefined && after.trim() !== '') padded.push('');
+  // Keep the document's trailing newline when replacing its last section
+  else if (after === undefined && deleteCount > 0 && lines[at + deleteCount - 1].trim() === '') padded.push('');
+  lines.splice(at, deleteCount, ...padded);
+}
+
+/**
+ * Describe the changed span between two versions of the document in the same
+ * shape as str_replace metadata, so the editor can select and animate it.
+ */
+function changedSpan(oldContent, newContent) {
+  let start = 0;
+  const maxStart = Math.min(oldContent.length, newContent.length);
+  while (start < maxStart && oldContent[start] === newContent[start]) start++;
+
+  let oldEnd = oldContent.length;
+  let newEnd = newContent.length;
+  while (oldEnd > start && newEnd > start && oldContent[oldEnd - 1] === newContent[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  return {
+    start_pos: start,
+    end_pos: oldEnd,
+    old_text: oldContent.slice(start, oldEnd),
+    new_text: newContent.slice(start, newEnd),
+    line_number: (oldContent.slice(0, start).match(/\n/g) || []).length + 1
+  };
+}
+
+/**
+ * Execute a markdown_sections command against Markdown text.
+ * Returns the same shape as executeEditorCommand.
+ */
+export function executeMarkdownCommand(command, content) {
+  const { lines, sections } = parseOutline(content);
+
+  const done = (message, section, newLines) => {
+    const newContent = newLines.join('\n');
+    const span = changedSpan(content, newContent);
+    return {
+      success: true,
+      content: newContent,
+      message,
+      edit_metadata: {
+        type: 'section_edit',
+        command: command.command,
+        section_path: section.path.join(' > '),
+        heading: section.title,
+        heading_level: section.level,
+        ...span,
+        chars_removed: span.old_text.length,
+        chars_added: span.new_text.length
+      }
+    };
+  };
+
+  switch (command.command) {
+    case 'view_outline':
+      return {
+        success: true,
+        outline: sections.map(section => ({
+          path: section.path.join(' > '),
+          level: section.level,
+          start_line: section.start + 1,
+          end_line: section.end + 1
+        })),
+        total_lines: lines.length
+      };
+
+    case 'view_section': {
+      const { section, error } = findSection(sections, command.path);
+      if (error) return { success: false, error };
+      return {
+        success: true,
+        path: section.path.join(' > '),
+        text: sectionText(lines, section),
+        start_line: section.start + 1,
+        end_line: section.end + 1
+      };
+    }
+
+    case 'replace_section': {
+      const { section, error } = findSection(sections, command.path);
+      if (error) return { success: false, error };
+      if (typeof command.content !== 'string') {
+        return { success: false, error: 'content is required for replace_section' };
+      }
+
+      let block = blockLines(command.content);
+      if (!HEADING_PATTERN.test(block[0] || '')) {
+        // Body only - keep the original heading line
+        block = [lines[section.start], '', ...block];
+      }
+
+      const newLines = [...lines];
+      spliceBlock(newLines, section.start, section.end - section.start + 1, block);
+      return done(`Replaced section "${section.path.join(' > ')}"`, section, newLines);
+    }
+
+    case 'insert_section_after': {
+      const { section, error } = findSection(sections, command.path);
+      if (error) return { success: false, error };
+      if (typeof command.content !== 'string' || !command.content.trim()) {
+        return { success: false, error: 'content is required for insert_section_after' };
+      }
+
+      const block = blockLines(command.content);
+      if (!HEADING_PATTERN.test(block[0])) {
+        return { success: false, error: 'content for insert_section_after must start with a heading line (e.g. "## New Section")' };
+      }
+
+      const newLines = [...lines];
+      spliceBlock(newLines, section.end + 1, 0, block);
+      return done(`Inserted section after "${section.path.join(' > ')}"`, section, newLines);
+    }
+
+    case 'move_section': {
+      const { section, error } = findSection(sections, command.path);
+      if (error) return { success: false, error };
+      const { section: target, error: targetError } = findSection(sections, command.target_path);
+      if (targetError) return { success: false, error: `target_path: ${targetError}` };
+
+      const position = command.position || 'after';
+      if (!['before', 'after'].includes(position)) {
+        return { success: false, error: `Invalid position: ${position}. Must be 'before' or 'after'` };
+      }
+      if (target.start >= section.start && target.start <= section.end) {
+        return { success: false, error: 'Cannot move a section next to itself or one of its own subsections' };
+      }
+
+      const block = blockLines(sectionText(lines, section));
+      const newLines = [...lines];
+      const insertAt = position === 'before' ? target.start : target.end + 1;
+
+      // Insert first when the destination comes later so indexes stay valid
+      if (insertAt > section.end) {
+        spliceBlock(newLines, insertAt, 0, block);
+        newLines.splice(section.start, section.end - section.start + 1);
+      } else {
+        newLines.splice(section.start, section.end - section.start + 1);
+        spliceBlock(newLines, insertAt, 0, block);
+      }
+
+      return done(`Moved section "${section.path.join(' > ')}" ${position} "${target.path.join(' > ')}"`, section, newLines);
+    }
+
+    case 'delete_section': {
+      const { section, error } = findSection(sections, command.path);
+      if (error) return { success: false, error };
+
+      const newLines = [...lines];
+      newLines.splice(section.start, section.end - section.start + 1);
+      return done(`Deleted section "${section.path.join(' > ')}" (lines ${section.start + 1}-${section.end + 1})`, section, newLines);
+    }
+
+    default:
+      return { success: false, error: `Unknown command: ${command.command}` };
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Proposed edits - propose mode's reviewable alternative to applying edits
+ *
+ * In propose mode the tool loop edits a copy of the document. Every edit that
+ * changed it is recorded as a proposal instead of being sent as a
+ * content_update:
+ *
+ *   {
+ *     id,          // 1, 2, ... in the order Claude made the edits
+ *     tool,        // 'csv_editor', 'str_replace_editor', ...
+ *     command,     // the tool command, e.g. 'set_cell'
+ *     rationale,   // the edit's reason, or what Claude wrote just before it
+ *     edit,        // the tool's edit_metadata, if it has any
+ *     diff         // { line, removed: [lines], added: [lines] }
+ *   }
+ *
+ * The tool input is kept in the session (not sent to the browser) so that the
+ * accepted proposals can be replayed, in order, against the original
+ * document. Edits build on each other, so a proposal replayed without one
+ * that came before it may change something else - row numbers shift, a
+ * str_replace no longer matches. A replayed proposal is only applied if it
+ * makes the change the user reviewed: the same edit_metadata apart from
+ * positions, or for tools without metadata the same changed lines.
+ */
+
+// Offsets that move when an earlier edit is left out without changing what an edit does
+const POSITION_FIELDS = ['start_pos', 'end_pos', 'line_number'];
+
+/**
+ * The lines that differ between two versions of a document: the first
+ * changed line (1-indexed) and the lines removed and added there
+ */
+export function lineDiff(before, after) {
+  const oldLines = before.split('\n');
+  const newLines = after.split('\n');
+
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  return {
+    line: start + 1,
+    removed: oldLines.slice(start, oldEnd),
+    added: newLines.slice(start, newEnd)
+  };
+}
+
+/**
+ * Record one edit made to the scratch copy
+ */
+export function createProposal(id, toolUse, rationale, before, after, edit) {
+  return {
+    id,
+    tool: toolUse.name,
+    command: toolUse.input.command,
+    input: toolUse.input,
+    rationale,
+    edit: edit || null,
+    diff: lineDiff(before, after)
+  };
+}
+
+// A proposal as the browser sees it - without the tool input
+export function publicProposal({ input, ...proposal }) {
+  return proposal;
+}
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, idx) => line === b[idx]);
+
+function withoutPositions(edit) {
+  const rest = { ...edit };
+  POSITION_FIELDS.forEach(field => delete rest[field]);
+  return JSON.stringify(rest);
+}
+
+// Does the replayed edit make the change that was proposed?
+function sameChange(proposal, edit, diff) {
+  if (proposal.edit && edit) {
+    return withoutPositions(proposal.edit) === withoutPositions(edit);
+  }
+  return sameLines(diff.removed, proposal.diff.removed) && sameLines(diff.added, proposal.diff.added);
+}
+
+/**
+ * Replay the accepted proposals against the original document.
+ * execute(tool, input, content) runs one tool command.
+ * Returns { content, applied: [id], skipped: [{ id, reason }] }.
+ */
+export function applyProposals(proposals, accepted, document, execute) {
+  const acceptedIds = new Set(accepted);
+  let content = document;
+  const applied = [];
+  const skipped = [];
+
+  for (const proposal of proposals) {
+    if (!acceptedIds.has(proposal.id)) continue;
+
+    const result = execute(proposal.tool, proposal.input, content);
+    if (!result.success || result.content === undefined) {
+      skipped.push({ id: proposal.id, reason: result.error || 'The edit could not be applied' });
+      continue;
+    }
+
+    if (!sameChange(proposal, result.edit_metadata, lineDiff(content, result.content))) {
+      skipped.push({ id: proposal.id, reason: 'Depends on an edit that was not accepted' });
+      continue;
+    }
+
+    content = result.content;
+    applied.push(proposal.id);
+  }
+
+  return { content, applied, skipped };
+}
@@ -0,0 +1,118 @@
+/**
+ * Anthropic provider - the Messages API, which is also the worker's own format
+ */
+
+import { forEachSseData } from './sse.js';
+import { parseRetryAfter } from './retry.js';
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+export const DEFAULT_CLAUDE_MODEL = 'claude-haiku-4-5-20251001';
+
+/**
+ * Read a streaming Messages API response and rebuild the final message.
+ *
+ * Text deltas and tool input progress are reported through the callbacks as
+ * they arrive; the resolved value has the same shape as a non-streaming
+ * response ({ content, stop_reason, usage }).
+ */
+async function readClaudeStream(response, { onText, onToolStart, onToolInputDelta } = {}) {
+  const message = { content: [], stop_reason: null, usage: {} };
+  const partialInputs = new Map(); // block index -> accumulated input JSON
+
+  await forEachSseData(response, async (data) => {
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (e) {
+      return; // Skip invalid JSON
+    }
+
+    switch (event.type) {
+      case 'message_start':
+        message.usage = { ...event.message?.usage };
+        break;
+
+      case 'content_block_start': {
+        const block = { ...event.content_block };
+        message.content[event.index] = block;
+        if (block.type === 'tool_use') {
+          partialInputs.set(event.index, '');
+          if (onToolStart) await onToolStart(block);
+        }
+        break;
+      }
+
+      case 'content_block_delta': {
+        const block = message.content[event.index];
+        if (event.delta?.type === 'text_delta') {
+          block.text = (block.text || '') + event.delta.text;
+          if (onText) await onText(event.delta.text);
+        } else if (event.delta?.type === 'input_json_delta') {
+          const partial = partialInputs.get(event.index) + event.delta.partial_json;
+          partialInputs.set(event.index, partial);
+          if (onToolInputDelta) await onToolInputDelta(block, partial.length);
+        }
+        break;
+      }
+
+      case 'content_block_stop':
+        if (partialInputs.has(event.index)) {
+          const partial = partialInputs.get(event.index);
+          message.content[event.index].input = partial ? JSON.parse(partial) : {};
+          partialInputs.delete(event.index);
+        }
+        break;
+
+      case 'message_delta':
+        message.stop_reason = event.delta?.stop_reason ?? message.stop_reason;
+        message.usage = { ...message.usage, ...event.usage };
+        break;
+
+      case 'error':
+        throw new Error(event.error?.message || 'Stream error from Claude API');
+    }
+  });
+
+  message.content = message.content.filter(Boolean);
+  return message;
+}
+
+export function createAnthropicProvider(env) {
+  if (!env.ANTHROPIC_API_KEY) {
+    return { error: 'API key not configured' };
+  }
+
+  const model = env.CLAUDE_MODEL || DEFAULT_CLAUDE_MODEL;
+
+  return {
+    provider: {
+      name: 'anthropic',
+      model,
+
+      async createMessage(params, callbacks, { signal } = {}) {
+        const response = await fetch(API_URL, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'anthropic-version': API_VERSION,
+            'x-api-key': env.ANTHROPIC_API_KEY,
+          },
+          body: JSON.stringify({ model, ...params, stream: true }),
+          signal,
+        });
+
+        if (!response.ok) {
+          return {
+            ok: false,
+            status: response.status,
+            details: await response.text(),
+            retry_after: parseRetryAfter(response.headers.get('retry-after'))
+          };
+        }
+
+        return { ok: true, message: await readClaudeStream(response, callbacks) };
+      }
+    }
+  };
+}
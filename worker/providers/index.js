@@ -0,0 +1,52 @@
+/**
+ * Model providers - one interface over different chat backends
+ *
+ * The worker speaks the Anthropic Messages format internally: a system prompt,
+ * messages made of text / tool_use / tool_result blocks, and tools described
+ * by an input_schema. Each provider translates that for its backend and hands
+ * the reply back in the same format, so generate mode and the tool loop do
+ * not care which model they are talking to.
+ *
+ *   provider.name, provider.model
+ *   provider.createMessage(params, callbacks, { signal })
+ *     -> { ok: true, message: { content, stop_reason, usage } }
+ *      | { ok: false, status, details, retry_after }
+ *
+ *   params:    { system, messages, tools, tool_choice, max_tokens, temperature }
+ *   callbacks: { onText(text), onToolStart(block), onToolInputDelta(block, inputChars),
+ *                onRetry({ attempt, max_attempts, delay_ms, status, reason }) }
+ *   signal:    AbortSignal - cancels the upstream request (and any retry wait)
+ *              when the browser disconnects; the call then rejects
+ *
+ * Every provider is wrapped by withRetries(), so overloaded and rate-limited
+ * responses are retried before the caller sees them.
+ *
+ * PROVIDER selects the backend: 'anthropic' (default), 'openai' for an
+ * OpenAI-compatible chat completions server such as llama.cpp or Ollama, or
+ * 'mock' to replay scripted replies from worker/fixtures.
+ */
+
+import { createAnthropicProvider } from './anthropic.js';
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+import { withRetries } from './retry.js';
+
+const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+/**
+ * Create the configured provider.
+ * Returns { provider } or { error } describing the missing configuration.
+ */
+export function createProvider(env) {
+  const name = (env.PROVIDER || 'anthropic').toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    return { error: `Unknown PROVIDER "${env.PROVIDER}" (supported: ${Object.keys(PROVIDERS).join(', ')})` };
+  }
+  const { provider, error } = factory(env);
+  return error ? { error } : { provider: withRetries(provider, env) };
+}
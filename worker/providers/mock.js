@@ -0,0 +1,166 @@
+/**
+ * Mock provider - replays scripted replies from worker/fixtures
+ *
+ * Needs no network or API key and behaves the same on every run, for
+ * front-end work and demos. The fixture is chosen by, in order:
+ *
+ *   1. "fixture:<name>" anywhere in the instruction, e.g. "fixture:csv-ask-user"
+ *   2. MOCK_FIXTURE
+ *   3. "<contentType>-<mode>", e.g. "csv-update" - the mode is "extract" for
+ *      a generate request with an uploaded image
+ *
+ * The turn to play is the number of assistant replies since the instruction,
+ * so a conversation resumed after ask_user carries on where it paused. A turn
+ * with a `fail` list answers each retry with the next failure before playing
+ * its content. MOCK_DELAY_MS (default 15) paces the streamed chunks.
+ */
+
+import { FIXTURES } from '../fixtures/index.js';
+
+const CHUNK_SIZE = 12;
+const DEFAULT_DELAY_MS = 15;
+
+// Failures already played per fixture turn, so retries see the next one
+const failuresPlayed = new Map();
+
+// Like a real request, an aborted reply stops part-way with the signal's reason
+async function pause(ms, signal) {
+  if (ms) await new Promise(resolve => setTimeout(resolve, ms));
+  signal?.throwIfAborted();
+}
+
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter(block => block.type === 'text').map(block => block.text).join('');
+}
+
+// Index of the user's instruction - the last user message that is not tool results
+function instructionIndex(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const msg = messages[i];
+    if (msg.role !== 'user') continue;
+    if (typeof msg.content === 'string' || !msg.content.some(block => block.type === 'tool_result')) {
+      return i;
+    }
+  }
+  return 0;
+}
+
+function pickFixture(env, { system, messages, tools }) {
+  // Skip the digest of earlier instructions that update mode puts first
+  const content = messages[instructionIndex(messages)]?.content;
+  const instruction = messageText(content)
+    .replace(/<earlier_instructions>[\s\S]*<\/earlier_instructions>/, '');
+  const requested = instruction.match(/fixture:([\w-]+)/)?.[1];
+
+  // Tools are only offered in update mode; the tool set gives the content type
+  const hasImage = Array.isArray(content) && content.some(block => block.type === 'image');
+  const mode = tools ? 'update' : hasImage ? 'extract' : 'generate';
+  const contentType = tools
+    ? (tools.some(tool => tool.name === 'csv_editor') ? 'csv' : 'markdown')
+    // Only the prompt itself - attached references come in later blocks
+    : (/CSV/.test(Array.isArray(system) ? system[0].text : system) ? 'csv' : 'markdown');
+
+  const name = requested || env.MOCK_FIXTURE || `${contentType}-${mode}`;
+  return { name, fixture: FIXTURES[name] };
+}
+
+// Rough, deterministic token count
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+export function createMockProvider(env) {
+  const delay = env.MOCK_DELAY_MS !== undefined ? Number(env.MOCK_DELAY_MS) : DEFAULT_DELAY_MS;
+
+  return {
+    provider: {
+      name: 'mock',
+      model: 'mock',
+
+      async createMessage(params, { onText, onToolStart, onToolInputDelta } = {}, { signal } = {}) {
+        const { name, fixture } = pickFixture(env, params);
+        if (!fixture) {
+          return {
+            ok: false,
+            status: 404,
+            details: `Unknown mock fixture "${name}" (available: ${Object.keys(FIXTURES).join(', ')})`
+          };
+        }
+
+        const { messages } = params;
+        const turnIndex = messages
+          .slice(instructionIndex(messages) + 1)
+          .filter(msg => msg.role === 'assistant').length;
+        const turn = fixture.turns[turnIndex] || {
+          content: [{ type: 'text', text: `(Mock fixture "${name}" has no turn ${turnIndex + 1}.)` }],
+          stop_reason: 'end_turn'
+        };
+
+        const failure = (step) => ({
+          ok: false,
+          status: step.status,
+          details: JSON.stringify({ type: 'error', error: step.error }),
+          retry_after: step.retry_after ?? null
+        });
+
+        if (turn.status) {
+          return failure(turn);
+        }
+
+        if (turn.fail) {
+          const key = `${name}:${turnIndex}:${messageText(messages[instructionIndex(messages)]?.content)}`;
+          const played = failuresPlayed.get(key) || 0;
+          if (played < turn.fail.length) {
+            failuresPlayed.set(key, played + 1);
+            return failure(turn.fail[played]);
+          }
+          // Start over next time the fixture runs
+          failuresPlayed.delete(key);
+        }
+
+        const content = [];
+        for (const [idx, block] of turn.content.entries()) {
+          if (block.type === 'text') {
+            const textBlock = { type: 'text', text: '' };
+            content.push(textBlock);
+            for (let pos = 0; pos < block.text.length; pos += CHUNK_SIZE) {
+              const chunk = block.text.slice(pos, pos + CHUNK_SIZE);
+              textBlock.text += chunk;
+              await pause(delay, signal);
+              if (onText) await onText(chunk);
+            }
+          } else if (block.type === 'tool_use') {
+            const toolBlock = { type: 'tool_use', id: `toolu_mock_${turnIndex}_${idx}`, name: block.name, input: {} };
+            content.push(toolBlock);
+            if (onToolStart) await onToolStart(toolBlock);
+            const json = JSON.stringify(block.input);
+            for (let pos = CHUNK_SIZE; pos < json.length + CHUNK_SIZE; pos += CHUNK_SIZE) {
+              await pause(delay, signal);
+              if (onToolInputDelta) await onToolInputDelta(toolBlock, Math.min(pos, json.length));
+            }
+            toolBlock.input = structuredClone(block.input);
+          }
+        }
+
+        if (turn.stream_error) {
+          throw new Error(turn.stream_error);
+        }
+
+        const prompt = JSON.stringify(params.messages) + messageText(params.system);
+        return {
+          ok: true,
+          message: {
+            content,
+            stop_reason: turn.stop_reason || 'end_turn',
+            usage: turn.usage || {
+              input_tokens: estimateTokens(prompt),
+              output_tokens: estimateTokens(JSON.stringify(content)),
+              cache_creation_input_tokens: 0,
+              cache_read_input_tokens: 0
+            }
+          }
+        };
+      }
+    }
+  };
+}
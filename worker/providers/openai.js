@@ -0,0 +1,256 @@
+/**
+ * OpenAI-compatible provider - any /chat/completions server
+ *
+ * Works with llama.cpp (llama-server), Ollama, vLLM, LM Studio and the OpenAI
+ * API itself. Anthropic-format requests are translated on the way out and the
+ * streamed reply is rebuilt as an Anthropic-format message on the way back:
+ *
+ *   tools with input_schema        -> { type: 'function', function: { parameters } }
+ *   tool_use blocks                -> assistant tool_calls
+ *   tool_result blocks             -> role 'tool' messages
+ *   tool_choice any / auto / tool  -> 'required' / 'auto' / named function
+ *   base64 image blocks            -> image_url parts with a data: URL (needs a
+ *                                     vision model, e.g. llama-server --mmproj)
+ *
+ * cache_control markers are dropped - these servers have no prompt cache API.
+ */
+
+import { forEachSseData } from './sse.js';
+import { parseRetryAfter } from './retry.js';
+
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use'
+};
+
+// Text of a string or content block array
+function blockText(content, separator = '') {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter(block => block && block.type === 'text')
+    .map(block => block.text)
+    .join(separator);
+}
+
+function toChatMessages(system, messages) {
+  const chat = [];
+  if (system) {
+    // System blocks are the prompt and any attached references
+    chat.push({ role: 'system', content: blockText(system, '\n\n') });
+  }
+
+  for (const msg of messages) {
+    if (typeof msg.content === 'string') {
+      chat.push({ role: msg.role, content: msg.content });
+      continue;
+    }
+
+    if (msg.role === 'assistant') {
+      const toolCalls = msg.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({
+          id: block.id,
+          type: 'function',
+          function: { name: block.name, arguments: JSON.stringify(block.input ?? {}) }
+        }));
+      chat.push({
+        role: 'assistant',
+        content: blockText(msg.content) || null,
+        ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+      });
+      continue;
+    }
+
+    // Tool results must directly follow the assistant message that called them
+    for (const block of msg.content.filter(block => block.type === 'tool_result')) {
+      chat.push({
+        role: 'tool',
+        tool_call_id: block.tool_use_id,
+        content: typeof block.content === 'string' ? block.content : blockText(block.content)
+      });
+    }
+    const text = blockText(msg.content);
+    const images = msg.content.filter(block => block.type === 'image');
+    if (images.length > 0) {
+      chat.push({
+        role: 'user',
+        content: [
+          ...images.map(block => ({
+            type: 'image_url',
+            image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` }
+          })),
+          ...(text ? [{ type: 'text', text }] : [])
+        ]
+      });
+    } else if (text) {
+      chat.push({ role: 'user', content: text });
+    }
+  }
+
+  return chat;
+}
+
+function toChatTools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.input_schema
+    }
+  }));
+}
+
+function toChatToolChoice(toolChoice) {
+  switch (toolChoice?.type) {
+    case 'any':
+      return 'required';
+    case 'tool':
+      return { type: 'function', function: { name: toolChoice.name } };
+    case 'auto':
+      return 'auto';
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Read a streaming chat completion and rebuild it as an Anthropic message,
+ * reporting progress through the same callbacks as the Anthropic provider.
+ */
+async function readChatStream(response, { onText, onToolStart, onToolInputDelta } = {}) {
+  let text = '';
+  let finishReason = null;
+  let usage = null;
+  const calls = []; // index -> { block, args, started }
+
+  await forEachSseData(response, async (data) => {
+    if (data === '[DONE]') return;
+
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (e) {
+      return; // Skip invalid JSON
+    }
+
+    if (chunk.error) {
+      throw new Error(chunk.error.message || 'Stream error from model server');
+    }
+    if (chunk.usage) usage = chunk.usage;
+
+    const choice = chunk.choices?.[0];
+    if (!choice) return;
+
+    if (choice.delta?.content) {
+      text += choice.delta.content;
+      if (onText) await onText(choice.delta.content);
+    }
+
+    for (const delta of choice.delta?.tool_calls || []) {
+      const index = delta.index ?? calls.length;
+      if (!calls[index]) {
+        calls[index] = {
+          block: { type: 'tool_use', id: delta.id || `call_${index}`, name: '', input: {} },
+          args: '',
+          started: false
+        };
+      }
+      const call = calls[index];
+
+      if (delta.function?.name) call.block.name += delta.function.name;
+      if (!call.started && call.block.name) {
+        call.started = true;
+        if (onToolStart) await onToolStart(call.block);
+      }
+      if (delta.function?.arguments) {
+        call.args += delta.function.arguments;
+        if (onToolInputDelta) await onToolInputDelta(call.block, call.args.length);
+      }
+    }
+
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+  });
+
+  const content = [];
+  if (text) content.push({ type: 'text', text });
+  for (const call of calls.filter(Boolean)) {
+    try {
+      call.block.input = call.args ? JSON.parse(call.args) : {};
+    } catch (e) {
+      // Leave input empty - the tool reports the missing fields back to the model
+      console.error('Invalid tool arguments from model:', call.args.substring(0, 200));
+    }
+    content.push(call.block);
+  }
+
+  // Some servers finish with 'stop' even when they called tools
+  const hasToolCalls = content.some(block => block.type === 'tool_use');
+  const cached = usage?.prompt_tokens_details?.cached_tokens || 0;
+
+  return {
+    content,
+    stop_reason: hasToolCalls ? 'tool_use' : (STOP_REASONS[finishReason] || 'end_turn'),
+    usage: {
+      input_tokens: (usage?.prompt_tokens || 0) - cached,
+      output_tokens: usage?.completion_tokens || 0,
+      cache_creation_input_tokens: 0,
+      cache_read_input_tokens: cached
+    }
+  };
+}
+
+export function createOpenAIProvider(env) {
+  if (!env.OPENAI_BASE_URL) {
+    return { error: 'OPENAI_BASE_URL not configured (e.g. http://localhost:11434/v1)' };
+  }
+  if (!env.OPENAI_MODEL) {
+    return { error: 'OPENAI_MODEL not configured' };
+  }
+
+  const url = `${env.OPENAI_BASE_URL.replace(/\/+$/, '')}/chat/completions`;
+  const model = env.OPENAI_MODEL;
+
+  return {
+    provider: {
+      name: 'openai',
+      model,
+
+      async createMessage({ system, messages, tools, tool_choice, max_tokens, temperature }, callbacks, { signal } = {}) {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            // Local servers usually accept any key, or none
+            ...(env.OPENAI_API_KEY ? { 'Authorization': `Bearer ${env.OPENAI_API_KEY}` } : {}),
+          },
+          body: JSON.stringify({
+            model,
+            messages: toChatMessages(system, messages),
+            tools: tools ? toChatTools(tools) : undefined,
+            tool_choice: tools ? toChatToolChoice(tool_choice) : undefined,
+            max_tokens,
+            temperature,
+            stream: true,
+            stream_options: { include_usage: true }
+          }),
+          signal,
+        });
+
+        if (!response.ok) {
+          return {
+            ok: false,
+            status: response.status,
+            details: await response.text(),
+            retry_after: parseRetryAfter(response.headers.get('retry-after'))
+          };
+        }
+
+        return { ok: true, message: await readChatStream(response, callbacks) };
+      }
+    }
+  };
+}
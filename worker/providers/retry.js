@@ -0,0 +1,109 @@
+/**
+ * Retries with exponential backoff for overloaded and rate-limited backends
+ *
+ * A failed call is retried when the status is 408, 409, 429 or 5xx (529 is
+ * Anthropic's "overloaded"), or when the request fails before anything was
+ * streamed. Once a reply has started streaming, errors are passed on - a retry
+ * would repeat text the client has already shown.
+ *
+ * The delay doubles from RETRY_BASE_DELAY_MS (default 1000) with jitter and is
+ * never shorter than the server's retry-after. Calls are retried up to
+ * MAX_RETRIES times (default 3); a retry-after longer than RETRY_MAX_DELAY_MS
+ * (default 30000) is not waited for. Nothing is retried once the caller's
+ * signal has aborted, and an abort cuts a pending wait short.
+ */
+
+const RETRYABLE_STATUSES = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+
+function numberFromEnv(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+// Resolves after ms, or rejects with the signal's reason once it aborts
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Seconds from a retry-after header - either a number or an HTTP date
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds, 0);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max((date - Date.now()) / 1000, 0);
+}
+
+/**
+ * Wrap a provider so createMessage retries transient failures.
+ * callbacks.onRetry({ attempt, max_attempts, delay_ms, status, reason }) is
+ * awaited before each wait.
+ */
+export function withRetries(provider, env) {
+  const maxRetries = numberFromEnv(env.MAX_RETRIES, 3);
+  const baseDelay = numberFromEnv(env.RETRY_BASE_DELAY_MS, 1000);
+  const maxDelay = numberFromEnv(env.RETRY_MAX_DELAY_MS, 30000);
+
+  return {
+    ...provider,
+
+    async createMessage(params, callbacks = {}, options = {}) {
+      const { signal } = options;
+      for (let attempt = 1; ; attempt++) {
+        let streamed = false;
+        const tracked = {
+          ...callbacks,
+          onText: callbacks.onText && ((...args) => { streamed = true; return callbacks.onText(...args); }),
+          onToolStart: callbacks.onToolStart && ((...args) => { streamed = true; return callbacks.onToolStart(...args); }),
+          onToolInputDelta: callbacks.onToolInputDelta && ((...args) => { streamed = true; return callbacks.onToolInputDelta(...args); })
+        };
+
+        let result;
+        try {
+          result = await provider.createMessage(params, tracked, options);
+        } catch (error) {
+          if (streamed || attempt > maxRetries || signal?.aborted) throw error;
+          result = { ok: false, status: null, details: error.message, retryable: true };
+        }
+
+        const retryable = !result.ok && (result.retryable || RETRYABLE_STATUSES.has(result.status));
+        if (!retryable || attempt > maxRetries || signal?.aborted) {
+          return result;
+        }
+
+        // Exponential backoff with jitter, but never sooner than the server asks
+        const backoff = baseDelay * 2 ** (attempt - 1);
+        const jittered = backoff / 2 + Math.random() * (backoff / 2);
+        const retryAfterMs = result.retry_after != null ? result.retry_after * 1000 : 0;
+        if (retryAfterMs > maxDelay) {
+          return result;
+        }
+        const delay = Math.round(Math.min(Math.max(jittered, retryAfterMs), maxDelay));
+
+        if (callbacks.onRetry) {
+          await callbacks.onRetry({
+            attempt,
+            max_attempts: maxRetries,
+            delay_ms: delay,
+            status: result.status,
+            reason: result.status ? `HTTP ${result.status}` : result.details
+          });
+        }
+        await wait(delay, signal);
+      }
+    }
+  };
+}
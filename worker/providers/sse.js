@@ -0,0 +1,32 @@
+/**
+ * Server-sent events helper shared by the providers
+ */
+
+/**
+ * Call onData with the payload of every "data:" line of an SSE response, in
+ * order. Awaits the callback so backpressure reaches the client stream.
+ */
+export async function forEachSseData(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      if (line.startsWith('data:')) {
+        await onData(line.slice(5).trim());
+      }
+    }
+  }
+
+  if (buffer.startsWith('data:')) {
+    await onData(buffer.slice(5).trim());
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Rate limiting - per-client budgets for /api/generate
+ *
+ * Clients are identified by their bearer token once authenticate() has
+ * accepted it, or by the CF-Connecting-IP address otherwise - without
+ * AUTH_TOKENS / AUTH_SECRET any token would do, so it cannot pick the budget.
+ * Requests with neither (e.g. `wrangler dev` behind another proxy) share one
+ * "unknown" budget. Three fixed-window budgets are enforced:
+ *
+ *   RATE_LIMIT_REQUESTS_PER_MINUTE   requests started         (default 20)
+ *   RATE_LIMIT_ITERATIONS_PER_HOUR   tool-loop turns           (default 200)
+ *   RATE_LIMIT_TOKENS_PER_DAY        input + output tokens     (default 500000)
+ *
+ * Setting a limit to 0 disables it. Counters live in the AI_SANDBOX_KV
+ * namespace; KV is eventually consistent, so limits are approximate under
+ * bursts from several locations. Without a KV binding the counters are kept
+ * in memory per worker isolate.
+ */
+
+const BUDGETS = {
+  requests: { env: 'RATE_LIMIT_REQUESTS_PER_MINUTE', window: 60, fallback: 20, label: 'requests per minute' },
+  iterations: { env: 'RATE_LIMIT_ITERATIONS_PER_HOUR', window: 60 * 60, fallback: 200, label: 'edit steps per hour' },
+  tokens: { env: 'RATE_LIMIT_TOKENS_PER_DAY', window: 24 * 60 * 60, fallback: 500000, label: 'tokens per day' }
+};
+
+// KV rejects expirations shorter than a minute
+const MIN_KV_TTL_SECONDS = 60;
+
+// Shared by every request handled by this isolate
+const memoryCounters = new Map();
+
+function budgetLimit(env, budget) {
+  const limit = parseInt(env[budget.env], 10);
+  return Number.isFinite(limit) && limit >= 0 ? limit : budget.fallback;
+}
+
+/**
+ * Identify the caller - a hash of the bearer token authenticate() accepted,
+ * or the client IP Cloudflare saw
+ */
+export async function clientKey(request, auth) {
+  const header = request.headers.get('Authorization') || '';
+  const token = header.match(/^Bearer\s+(.+)$/i)?.[1]?.trim();
+  if (token && auth?.ok && auth.method !== 'none') {
+    // Never store the raw token as a KV key
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+    const hex = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+    return `token:${hex.slice(0, 32)}`;
+  }
+
+  // Cloudflare sets CF-Connecting-IP itself. X-Forwarded-For comes from the
+  // client, so trusting it would hand out a fresh budget per made-up address;
+  // callers without either share one budget.
+  const ip = request.headers.get('CF-Connecting-IP');
+  return ip ? `ip:${ip}` : 'unknown';
+}
+
+function createCounterStore(env) {
+  const kv = env.AI_SANDBOX_KV;
+
+  if (kv) {
+    return {
+      async get(key) {
+        return parseInt(await kv.get(key), 10) || 0;
+      },
+      async set(key, value, ttl) {
+        await kv.put(key, String(value), { expirationTtl: Math.max(ttl, MIN_KV_TTL_SECONDS) });
+      }
+    };
+  }
+
+  return {
+    async get(key) {
+      const entry = memoryCounters.get(key);
+      if (!entry) return 0;
+      if (entry.expires <= Date.now()) {
+        memoryCounters.delete(key);
+        return 0;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttl) {
+      memoryCounters.set(key, { value, expires: Date.now() + ttl * 1000 });
+    }
+  };
+}
+
+/**
+ * Create the rate limiter for one client.
+ * Returns { check(name), consume(name, amount) }; both resolve to null when
+ * the client is within budget, or to { budget, limit, retry_after, message }
+ * when it is not.
+ */
+export function createRateLimiter(env, client) {
+  const counters = createCounterStore(env);
+
+  const windowFor = (budget) => {
+    const now = Math.floor(Date.now() / 1000);
+    const start = now - (now % budget.window);
+    return {
+      key: `rate:${client}:${budget.window}:${start}`,
+      retryAfter: start + budget.window - now
+    };
+  };
+
+  const exceeded = (name, budget, limit, retryAfter) => ({
+    budget: name,
+    limit,
+    retry_after: Math.max(retryAfter, 1),
+    message: `Rate limit exceeded: ${limit} ${budget.label}. Try again in ${Math.max(retryAfter, 1)} seconds.`
+  });
+
+  return {
+    // Is this budget already used up?
+    async check(name) {
+      const budget = BUDGETS[name];
+      const limit = budgetLimit(env, budget);
+      if (limit === 0) return null;
+
+      const { key, retryAfter } = windowFor(budget);
+      const used = await counters.get(`${key}:${name}`);
+      return used >= limit ? exceeded(name, budget, limit, retryAfter) : null;
+    },
+
+    // Record usage; over-budget requests are refused rather than counted
+    async consume(name, amount = 1) {
+      const budget = BUDGETS[name];
+      const limit = budgetLimit(env, budget);
+      if (limit === 0) return null;
+
+      const { key, retryAfter } = windowFor(budget);
+      const counterKey = `${key}:${name}`;
+      const used = await counters.get(counterKey);
+      if (used >= limit) return exceeded(name, budget, limit, retryAfter);
+
+      await counters.set(counterKey, used + amount, retryAfter);
+      return null;
+    }
+  };
+}
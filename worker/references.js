@@ -0,0 +1,67 @@
+/**
+ * Reference documents - files the user attaches for Claude to draw on
+ *
+ * A request can carry text files to use as source material, e.g. a price list
+ * for "fill the price column from this price list":
+ *
+ *   references: [{ name: 'prices.csv', content: 'SKU,Price\n...' }]
+ *
+ * The list is kept in the session, so later instructions - and answers to
+ * ask_user - use it without the client sending it again. A request that does
+ * send `references` replaces the session's list; [] removes them all.
+ *
+ * Each reference goes into the system prompt as its own block with a
+ * cache_control breakpoint, so follow-up turns read them from the prompt
+ * cache, and attaching another one leaves the earlier ones cached. The API
+ * allows four breakpoints per request and generate mode spends one on its
+ * history, hence MAX_REFERENCES.
+ */
+
+export const MAX_REFERENCES = 3;
+export const MAX_REFERENCE_NAME_CHARS = 200;
+
+const DEFAULT_MAX_CHARS = 50000;
+
+const REFERENCES_INTRO = 'The user attached the reference documents below. Use them as the source for the facts, figures and wording the instruction refers to. They are not the document you are working on - never copy one in whole unless asked to.';
+
+export function referenceMaxChars(env) {
+  const limit = parseInt(env.REFERENCE_MAX_CHARS, 10);
+  return Number.isFinite(limit) && limit > 0 ? limit : DEFAULT_MAX_CHARS;
+}
+
+/**
+ * Check the size of attached references. Returns null when they can be sent,
+ * otherwise { status: 413, error }.
+ */
+export function checkReferences(references, maxChars) {
+  const tooLarge = references.find(ref => ref.content.length > maxChars);
+  if (tooLarge) {
+    return {
+      status: 413,
+      error: `Reference "${tooLarge.name}" is ${tooLarge.content.length} characters - the limit is ${maxChars}`
+    };
+  }
+  return null;
+}
+
+// Names end up in an XML-style attribute
+function referenceText(ref) {
+  const name = ref.name.replace(/"/g, "'").replace(/[<>\r\n]/g, '');
+  return `<reference name="${name}">\n${ref.content}\n</reference>`;
+}
+
+/**
+ * The system prompt with the references after it, one cached block each.
+ * Without references the prompt is returned as it is.
+ */
+export function withReferences(system, references) {
+  if (!references?.length) return system;
+  return [
+    { type: 'text', text: `${system}\n\n${REFERENCES_INTRO}` },
+    ...references.map(ref => ({
+      type: 'text',
+      text: referenceText(ref),
+      cache_control: { type: 'ephemeral' }
+    }))
+  ];
+}
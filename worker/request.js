@@ -0,0 +1,260 @@
+/**
+ * Request parsing for /api/generate
+ *
+ * Version 1 request body:
+ *
+ *   {
+ *     version: 1,
+ *     contentType: 'csv' | 'markdown',
+ *     mode: 'generate' | 'update' | 'propose',
+ *     instruction: 'Add a totals row',        // what the user asked for
+ *     document: 'Name,Amount\n...',           // current content (update and propose modes)
+ *     history: [{ role, content }],           // earlier turns, oldest first
+ *     session_id: '...',                      // session from an earlier response
+ *     image: { media_type, data },            // generate mode: screenshot to extract from
+ *     references: [{ name, content }],        // attached files to draw on (kept in the session)
+ *     clarification_answer: '...'             // resuming a session paused by ask_user
+ *   }
+ *
+ * clarification_answer is the answer text, or { [question id]: 'answer' }
+ * when clarification_needed asked several questions.
+ *
+ * With an image, generate mode transcribes it instead of writing from scratch,
+ * and the instruction may be left out. Its type and size are checked by
+ * checkImage() in images.js.
+ *
+ * references replaces the session's reference documents; left out, the ones
+ * already in the session are used. Their size is checked by checkReferences()
+ * in references.js.
+ *
+ * Propose mode runs the same edits as update mode against a copy of the
+ * document and returns them as proposals for the user to accept or reject.
+ *
+ * Older clients send { prompt } or { messages } with the document embedded in
+ * the last message as "Current content: ... Instruction: ..." text. Those
+ * bodies are converted by adaptLegacyRequest() before validation, so the rest
+ * of the worker only ever sees the structured shape.
+ */
+
+import { isSessionId } from './sessions.js';
+import { MAX_REFERENCE_NAME_CHARS, MAX_REFERENCES } from './references.js';
+
+export const REQUEST_VERSION = 1;
+export const CONTENT_TYPES = ['csv', 'markdown'];
+export const MODES = ['generate', 'update', 'propose'];
+
+const LEGACY_CONTENT_PREFIX = 'Current content:\n';
+const LEGACY_INSTRUCTION_SEPARATOR = '\n\nInstruction: ';
+
+// Flatten a message's content (string or content block array) to plain text
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter(block => block && block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+  return '';
+}
+
+/**
+ * Convert a legacy { prompt } / { messages } body to the versioned shape.
+ * Bodies that already carry a version are returned unchanged.
+ */
+export function adaptLegacyRequest(body) {
+  if (!body || typeof body !== 'object' || body.version !== undefined) {
+    return body;
+  }
+
+  const { prompt, messages, contentType = 'csv', conversation_state, clarification_answer } = body;
+
+  // Resuming after a clarification - the dummy "Resume" message is ignored.
+  // Client-held conversation state is rejected by validation.
+  if (conversation_state || clarification_answer) {
+    return {
+      version: REQUEST_VERSION,
+      contentType,
+      mode: 'update',
+      conversation_state,
+      clarification_answer
+    };
+  }
+
+  if (Array.isArray(messages) && messages.length > 0) {
+    let lastUserIndex = -1;
+    messages.forEach((msg, idx) => {
+      if (msg && msg.role === 'user') lastUserIndex = idx;
+    });
+
+    const history = messages
+      .slice(0, Math.max(lastUserIndex, 0))
+      .map(msg => ({ role: msg.role, content: messageText(msg.content) }));
+    const text = lastUserIndex >= 0 ? messageText(messages[lastUserIndex].content) : '';
+
+    // The prompt input is a single line, so the last separator is the real one
+    const separatorIndex = text.lastIndexOf(LEGACY_INSTRUCTION_SEPARATOR);
+    if (text.startsWith(LEGACY_CONTENT_PREFIX) && separatorIndex !== -1) {
+      return {
+        version: REQUEST_VERSION,
+        contentType,
+        mode: 'update',
+        document: text.slice(LEGACY_CONTENT_PREFIX.length, separatorIndex).trim(),
+        instruction: text.slice(separatorIndex + LEGACY_INSTRUCTION_SEPARATOR.length).trim(),
+        history
+      };
+    }
+
+    return {
+      version: REQUEST_VERSION,
+      contentType,
+      mode: 'generate',
+      instruction: text,
+      history
+    };
+  }
+
+  return {
+    version: REQUEST_VERSION,
+    contentType,
+    mode: 'generate',
+    instruction: prompt
+  };
+}
+
+// Answer text, or a non-empty object of answer texts keyed by question id.
+// Whether they answer the questions asked is checked against the session.
+function isAnswer(answer) {
+  if (typeof answer === 'string') return answer.trim() !== '';
+  if (!answer || typeof answer !== 'object' || Array.isArray(answer)) return false;
+  const values = Object.values(answer);
+  return values.length > 0 && values.every(value => typeof value === 'string');
+}
+
+/**
+ * Validate a versioned request body.
+ * Returns a list of human-readable problems (empty when the body is valid).
+ */
+export function validateRequest(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return ['Request body must be a JSON object'];
+  }
+
+  const errors = [];
+
+  if (body.version !== REQUEST_VERSION) {
+    errors.push(`Unsupported version: ${JSON.stringify(body.version)} (supported: ${REQUEST_VERSION})`);
+  }
+
+  if (!CONTENT_TYPES.includes(body.contentType)) {
+    errors.push(`contentType must be one of: ${CONTENT_TYPES.join(', ')}`);
+  }
+
+  if (!MODES.includes(body.mode)) {
+    errors.push(`mode must be one of: ${MODES.join(', ')}`);
+  }
+
+  if (body.conversation_state !== undefined) {
+    errors.push('conversation_state is no longer accepted - resume with the session_id from clarification_needed');
+  }
+
+  if (body.session_id !== undefined && !isSessionId(body.session_id)) {
+    errors.push('session_id must be the id returned by the worker');
+  }
+
+  const resuming = body.clarification_answer !== undefined;
+
+  if (resuming) {
+    if (body.mode !== 'update' && body.mode !== 'propose') {
+      errors.push('a paused session can only be resumed in update or propose mode');
+    }
+    if (body.session_id === undefined) {
+      errors.push('session_id is required to resume with clarification_answer');
+    }
+    if (!isAnswer(body.clarification_answer)) {
+      errors.push('clarification_answer must be a non-empty string, or an object of answers keyed by question id');
+    }
+  } else {
+    // An image can stand in for the instruction
+    const optional = body.image !== undefined && (body.instruction === undefined || typeof body.instruction === 'string');
+    if (!optional && (typeof body.instruction !== 'string' || !body.instruction.trim())) {
+      errors.push('instruction must be a non-empty string');
+    }
+    if (body.mode !== 'generate' && typeof body.document !== 'string') {
+      errors.push(`document must be a string in ${body.mode} mode`);
+    }
+  }
+
+  if (body.image !== undefined) {
+    if (body.mode !== 'generate') {
+      errors.push('image is only accepted in generate mode');
+    }
+    if (!body.image || typeof body.image.media_type !== 'string' || typeof body.image.data !== 'string' || !body.image.data) {
+      errors.push('image must be { media_type: string, data: base64 string }');
+    }
+  }
+
+  if (body.references !== undefined) {
+    if (!Array.isArray(body.references)) {
+      errors.push('references must be an array');
+    } else {
+      if (body.references.length > MAX_REFERENCES) {
+        errors.push(`at most ${MAX_REFERENCES} references can be attached`);
+      }
+      const names = new Set();
+      body.references.forEach((ref, idx) => {
+        if (!ref || typeof ref.name !== 'string' || !ref.name.trim() || ref.name.length > MAX_REFERENCE_NAME_CHARS
+          || typeof ref.content !== 'string' || !ref.content.trim()) {
+          errors.push(`references[${idx}] must be { name: string (up to ${MAX_REFERENCE_NAME_CHARS} characters), content: non-empty string }`);
+        } else if (names.has(ref.name.trim())) {
+          errors.push(`references[${idx}] has the same name as an earlier reference`);
+        } else {
+          names.add(ref.name.trim());
+        }
+      });
+    }
+  }
+
+  if (body.history !== undefined) {
+    if (!Array.isArray(body.history)) {
+      errors.push('history must be an array');
+    } else {
+      body.history.forEach((msg, idx) => {
+        if (!msg || !['user', 'assistant'].includes(msg.role) || typeof msg.content !== 'string') {
+          errors.push(`history[${idx}] must be { role: 'user' | 'assistant', content: string }`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse a raw request body into the structured request.
+ * Returns { request } on success or { errors } when validation fails.
+ */
+export function parseRequest(body) {
+  const adapted = adaptLegacyRequest(body);
+  const errors = validateRequest(adapted);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    request: {
+      version: adapted.version,
+      contentType: adapted.contentType,
+      mode: adapted.mode,
+      instruction: adapted.instruction?.trim() || '',
+      document: adapted.document ?? '',
+      history: (adapted.history || []).filter(msg => msg.content.trim()),
+      session_id: adapted.session_id,
+      image: adapted.image ? { media_type: adapted.image.media_type, data: adapted.image.data } : null,
+      references: adapted.references?.map(ref => ({ name: ref.name.trim(), content: ref.content })),
+      clarification_answer: typeof adapted.clarification_answer === 'string'
+        ? adapted.clarification_answer.trim()
+        : adapted.clarification_answer
+    }
+  };
+}
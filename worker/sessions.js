@@ -0,0 +1,174 @@
+/**
+ * Session storage - documents and paused conversations kept on the worker
+ *
+ * The client only ever holds an opaque session id. Each session belongs to
+ * the caller that started it - the signed token's subject, or the client key
+ * rate limiting uses - and the store only hands it back to that caller.
+ * Sessions live in the
+ * AI_SANDBOX_KV namespace and expire after SESSION_TTL_SECONDS (default one
+ * day). Without a KV binding an in-memory store is used, which only survives
+ * as long as the worker isolate does - fine for `wrangler dev`, not for
+ * production.
+ *
+ * Session record:
+ *
+ *   {
+ *     id, contentType,
+ *     owner,         // sessionOwner() of the caller that started it
+ *     document,      // latest committed (or in-progress, while paused) content
+ *     history,       // [{ role, content }] instructions and summaries
+ *     references,    // [{ name, content }] files attached for Claude to draw on
+ *     pending,       // paused ask_user conversation, or null
+ *     proposal,      // propose mode edits waiting for review ({ transaction_id,
+ *                    // instruction, summary, original_document, proposals }), or null
+ *     last_stop,     // how far the last instruction got if the browser left
+ *                    // or cancelled mid-stream ({ reason, mode, instruction,
+ *                    // turns, edits, stopped_at }), or null
+ *     last_stream_id, // event stream of the last instruction that ended -
+ *                    // saved with its outcome, whichever way it ended
+ *     created_at, updated_at, expires_at
+ *   }
+ */
+
+import { questionsFrom } from './ask-user.js';
+import { publicProposal } from './proposals.js';
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const MIN_TTL_SECONDS = 60; // KV rejects shorter expirations
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Shared by every request handled by this isolate
+const memorySessions = new Map();
+
+export function isSessionId(value) {
+  return typeof value === 'string' && SESSION_ID_PATTERN.test(value);
+}
+
+function ttlSeconds(env) {
+  const ttl = parseInt(env.SESSION_TTL_SECONDS, 10);
+  return Number.isFinite(ttl) && ttl > 0 ? Math.max(ttl, MIN_TTL_SECONDS) : DEFAULT_TTL_SECONDS;
+}
+
+/**
+ * Who a session belongs to. A signed token's subject outlives the token, so
+ * a refreshed token keeps its sessions.
+ */
+export function sessionOwner(auth, client) {
+  return auth.method === 'signed' && auth.subject ? `subject:${auth.subject}` : client;
+}
+
+/**
+ * Start a new, empty session for owner
+ */
+export function newSession(contentType, owner) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    contentType,
+    owner,
+    document: '',
+    history: [],
+    references: [],
+    pending: null,
+    proposal: null,
+    last_stop: null,
+    last_stream_id: null,
+    created_at: now,
+    updated_at: now,
+    expires_at: null
+  };
+}
+
+/**
+ * Create the session store for this request's environment.
+ * Returns { get(id, owner), put(session), delete(id), persistent } - get()
+ * finds nothing when the session belongs to someone else.
+ */
+export function createSessionStore(env) {
+  const ttl = ttlSeconds(env);
+  const kv = env.AI_SANDBOX_KV;
+
+  const stamp = (session) => {
+    const now = Date.now();
+    session.updated_at = new Date(now).toISOString();
+    session.expires_at = new Date(now + ttl * 1000).toISOString();
+    return session;
+  };
+
+  // Sessions from before owners were recorded belong to nobody
+  const ownedBy = (session, owner) => (session && session.owner === owner ? session : null);
+
+  if (kv) {
+    return {
+      persistent: true,
+      async get(id, owner) {
+        if (!isSessionId(id)) return null;
+        return ownedBy(await kv.get(`session:${id}`, 'json'), owner);
+      },
+      async put(session) {
+        stamp(session);
+        await kv.put(`session:${session.id}`, JSON.stringify(session), { expirationTtl: ttl });
+        return session;
+      },
+      async delete(id) {
+        if (isSessionId(id)) await kv.delete(`session:${id}`);
+      }
+    };
+  }
+
+  return {
+    persistent: false,
+    async get(id, owner) {
+      const entry = memorySessions.get(id);
+      if (!entry) return null;
+      if (Date.parse(entry.expires_at) <= Date.now()) {
+        memorySessions.delete(id);
+        return null;
+      }
+      return structuredClone(ownedBy(entry, owner));
+    },
+    async put(session) {
+      stamp(session);
+      memorySessions.set(session.id, structuredClone(session));
+      return session;
+    },
+    async delete(id) {
+      memorySessions.delete(id);
+    }
+  };
+}
+
+/**
+ * The parts of a session that are safe to hand back to the browser
+ */
+export function publicSession(session) {
+  return {
+    session_id: session.id,
+    contentType: session.contentType,
+    document: session.document,
+    history: session.history,
+    references: session.references || [],
+    pending: session.pending
+      ? {
+          question: session.pending.question,
+          why_asking: session.pending.why_asking,
+          questions: session.pending.questions || questionsFrom(session.pending),
+          instruction: session.pending.instruction,
+          original_document: session.pending.original_document
+        }
+      : null,
+    proposal: session.proposal
+      ? {
+          transaction_id: session.proposal.transaction_id,
+          instruction: session.proposal.instruction,
+          summary: session.proposal.summary,
+          proposals: session.proposal.proposals.map(publicProposal)
+        }
+      : null,
+    last_stop: session.last_stop || null,
+    last_stream_id: session.last_stream_id || null,
+    created_at: session.created_at,
+    updated_at: session.updated_at,
+    expires_at: session.expires_at
+  };
+}
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, serializeCsv, executeCsvCommand } from '../csv-tool.js';
+
+test('parseCsv reads quoted commas, escaped quotes and line breaks', () => {
+  const { rows, unterminatedQuote } = parseCsv('Name,Note\n"Smith, J","said ""hi""\nthen left"\n');
+  assert.equal(unterminatedQuote, false);
+  assert.deepEqual(rows.map(row => row.cells), [
+    ['Name', 'Note'],
+    ['Smith, J', 'said "hi"\nthen left']
+  ]);
+});
+
+test('parseCsv keeps CRLF line endings and the trailing newline', () => {
+  const table = parseCsv('a,b\r\n1,2\r\n');
+  assert.equal(table.newline, '\r\n');
+  assert.equal(table.trailingNewline, true);
+  assert.deepEqual(table.rows.map(row => row.raw), ['a,b', '1,2']);
+});
+
+test('parseCsv flags a quote that is never closed', () => {
+  const { rows, unterminatedQuote } = parseCsv('a,b\n1,"open\n2,3');
+  assert.equal(unterminatedQuote, true);
+  assert.deepEqual(rows[1].cells, ['1', 'open\n2,3']);
+});
+
+test('serializeCsv writes untouched rows back byte for byte', () => {
+  const text = 'Name , Note\n"Smith, J",  "x"\n';
+  assert.equal(serializeCsv(parseCsv(text)), text);
+});
+
+test('set_cell quotes values that need it and only rewrites that row', () => {
+  const result = executeCsvCommand(
+    { command: 'set_cell', row: 1, column_name: 'note', value: 'a, "b"' },
+    'Name,Note\n"Smith, J",x\nLee,  y\n'
+  );
+  assert.equal(result.success, true);
+  assert.equal(result.content, 'Name,Note\n"Smith, J","a, ""b"""\nLee,  y\n');
+  assert.deepEqual(result.edit_metadata.cells, [
+    { row: 1, column: 1, column_name: 'Note', old_value: 'x', new_value: 'a, "b"' }
+  ]);
+  assert.equal(result.edit_metadata.line_number, 2);
+});
+
+test('insert_rows refuses an array row that does not match the header width', () => {
+  const result = executeCsvCommand({ command: 'insert_rows', rows: [['Lee']] }, 'Name,Amount\nSmith,10\n');
+  assert.equal(result.success, false);
+  assert.match(result.error, /has 1 value but the table has 2 columns \(Name, Amount\)/);
+});
+
+test('insert_rows fills missing columns of an object row with empty cells', () => {
+  const result = executeCsvCommand(
+    { command: 'insert_rows', after_row: 0, rows: [{ amount: '5' }] },
+    'Name,Amount\nSmith,10\n'
+  );
+  assert.equal(result.success, true);
+  assert.equal(result.content, 'Name,Amount\n,5\nSmith,10\n');
+  assert.deepEqual(result.edit_metadata.rows, [1]);
+});
+
+test('insert_rows into an empty CSV takes its width from the header row', () => {
+  const refused = executeCsvCommand({ command: 'insert_rows', rows: [{ Name: 'x' }] }, '');
+  assert.equal(refused.success, false);
+
+  const uneven = executeCsvCommand({ command: 'insert_rows', rows: [['Name', 'Amount'], ['Smith']] }, '');
+  assert.equal(uneven.success, false);
+
+  const result = executeCsvCommand({ command: 'insert_rows', rows: [['Name', 'Amount'], ['Smith', '10']] }, '');
+  assert.equal(result.success, true);
+  assert.equal(result.content, 'Name,Amount\nSmith,10');
+  assert.deepEqual(result.edit_metadata.rows, [1]);
+});
+
+test('sort_by sorts numerically when every value is a number', () => {
+  const result = executeCsvCommand(
+    { command: 'sort_by', column_name: 'Amount', descending: true },
+    'Name,Amount\na,$9\nb,"1,200"\nc,\n'
+  );
+  assert.equal(result.success, true);
+  assert.equal(result.content, 'Name,Amount\nb,"1,200"\na,$9\nc,\n');
+});
+
+test('commands on an unknown column list the columns there are', () => {
+  const result = executeCsvCommand({ command: 'rename_column', column_name: 'Total', new_name: 'Sum' }, 'Name,Amount\n');
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'Unknown column: "Total". Columns are: "Name", "Amount"');
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOutline, executeMarkdownCommand } from '../markdown-tool.js';
+
+const DOC = [
+  '# Guide',
+  '',
+  '## Install',
+  '',
+  '### Linux',
+  'apt install tool',
+  '',
+  '### Mac',
+  'brew install tool',
+  '',
+  '## Usage',
+  '',
+  '```sh',
+  '# not a heading',
+  '```',
+  ''
+].join('\n');
+
+test('parseOutline nests sections by heading level and skips fenced code', () => {
+  const { sections } = parseOutline(DOC);
+  assert.deepEqual(sections.map(({ path, level, start, end }) => ({ path: path.join(' > '), level, start, end })), [
+    { path: 'Guide', level: 1, start: 0, end: 15 },
+    { path: 'Guide > Install', level: 2, start: 2, end: 9 },
+    { path: 'Guide > Install > Linux', level: 3, start: 4, end: 6 },
+    { path: 'Guide > Install > Mac', level: 3, start: 7, end: 9 },
+    { path: 'Guide > Usage', level: 2, start: 10, end: 15 }
+  ]);
+});
+
+test('parseOutline reads closing hashes and up to three spaces of indent', () => {
+  const { sections } = parseOutline('   ## Title ##\n    # code');
+  assert.deepEqual(sections.map(s => [s.title, s.level]), [['Title', 2]]);
+});
+
+test('a section ends at the next heading of the same or a higher level', () => {
+  const { sections } = parseOutline('## A\n#### Deep\n### B\n# C');
+  assert.deepEqual(sections.map(s => [s.path.join(' > '), s.end]), [
+    ['A', 2],
+    ['A > Deep', 1],
+    ['A > B', 2],
+    ['C', 3]
+  ]);
+});
+
+test('view_section resolves a path that skips intermediate headings', () => {
+  const result = executeMarkdownCommand({ command: 'view_section', path: 'guide > linux' }, DOC);
+  assert.equal(result.success, true);
+  assert.equal(result.path, 'Guide > Install > Linux');
+  assert.equal(result.text, '### Linux\napt install tool\n');
+});
+
+test('an ambiguous path asks for parent headings', () => {
+  const result = executeMarkdownCommand({ command: 'view_section', path: 'Setup' }, '# A\n## Setup\n# B\n## Setup');
+  assert.equal(result.success, false);
+  assert.match(result.error, /matches 2 sections: "A > Setup" \(line 2\), "B > Setup" \(line 4\)/);
+});
+
+test('replace_section replaces subsections and keeps the heading for a body-only edit', () => {
+  const result = executeMarkdownCommand({ command: 'replace_section', path: 'Install', content: 'Run the installer.' }, DOC);
+  assert.equal(result.success, true);
+  assert.equal(result.content, DOC.replace(/## Install\n[\s\S]*?(?=## Usage)/, '## Install\n\nRun the installer.\n\n'));
+  assert.equal(result.edit_metadata.heading, 'Install');
+  assert.equal(result.edit_metadata.heading_level, 2);
+  assert.equal(result.edit_metadata.section_path, 'Guide > Install');
+});
+
+test('replacing the last section keeps the trailing newline', () => {
+  const result = executeMarkdownCommand({ command: 'replace_section', path: 'B', content: '## B\nnew' }, '# A\n\n## B\nold\n');
+  assert.equal(result.content, '# A\n\n## B\nnew\n');
+});
+
+test('insert_section_after goes after the subsections and needs a heading', () => {
+  const refused = executeMarkdownCommand({ command: 'insert_section_after', path: 'Install', content: 'no heading' }, DOC);
+  assert.equal(refused.success, false);
+
+  const result = executeMarkdownCommand({ command: 'insert_section_after', path: 'Install', content: '## Configure\nEdit the file.' }, DOC);
+  assert.equal(result.success, true);
+  assert.match(result.content, /brew install tool\n\n## Configure\nEdit the file.\n\n## Usage/);
+});
+
+test('move_section refuses to move a section next to its own subsection', () => {
+  const result = executeMarkdownCommand({ command: 'move_section', path: 'Install', target_path: 'Linux' }, DOC);
+  assert.equal(result.success, false);
+  assert.match(result.error, /own subsections/);
+});
+
+test('move_section moves a section with its subsections', () => {
+  const result = executeMarkdownCommand({ command: 'move_section', path: 'Mac', target_path: 'Linux', position: 'before' }, DOC);
+  assert.equal(result.success, true);
+  assert.match(result.content, /## Install\n\n### Mac\nbrew install tool\n\n### Linux\napt install tool\n\n## Usage/);
+});
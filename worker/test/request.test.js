@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { adaptLegacyRequest, parseRequest } from '../request.js';
+
+test('parseRequest trims the instruction and drops empty history turns', () => {
+  const { request, errors } = parseRequest({
+    version: 1,
+    contentType: 'csv',
+    mode: 'update',
+    instruction: '  Add a totals row ',
+    document: 'a,b\n',
+    history: [{ role: 'user', content: 'hi' }, { role: 'assistant', content: '  ' }],
+    references: [{ name: ' notes.md ', content: '# Notes' }]
+  });
+  assert.equal(errors, undefined);
+  assert.equal(request.instruction, 'Add a totals row');
+  assert.equal(request.document, 'a,b\n');
+  assert.deepEqual(request.history, [{ role: 'user', content: 'hi' }]);
+  assert.deepEqual(request.references, [{ name: 'notes.md', content: '# Notes' }]);
+  assert.equal(request.image, null);
+});
+
+test('parseRequest lists every problem with the body', () => {
+  const { request, errors } = parseRequest({ version: 2, contentType: 'pdf', mode: 'update', instruction: ' ' });
+  assert.equal(request, undefined);
+  assert.deepEqual(errors, [
+    'Unsupported version: 2 (supported: 1)',
+    'contentType must be one of: csv, markdown',
+    'instruction must be a non-empty string',
+    'document must be a string in update mode'
+  ]);
+});
+
+test('parseRequest refuses a body that is not an object', () => {
+  assert.deepEqual(parseRequest(null).errors, ['Request body must be a JSON object']);
+});
+
+test('an image stands in for the instruction, in generate mode only', () => {
+  const image = { media_type: 'image/png', data: 'AAAA' };
+  assert.equal(parseRequest({ version: 1, contentType: 'csv', mode: 'generate', image }).request.instruction, '');
+
+  const { errors } = parseRequest({ version: 1, contentType: 'csv', mode: 'update', document: '', image });
+  assert.deepEqual(errors, ['image is only accepted in generate mode']);
+});
+
+test('references must have distinct names and content', () => {
+  const { errors } = parseRequest({
+    version: 1,
+    contentType: 'markdown',
+    mode: 'generate',
+    instruction: 'Write it up',
+    references: [{ name: 'a', content: 'x' }, { name: ' a', content: 'y' }, { name: 'b', content: ' ' }]
+  });
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /^references\[1\] has the same name/);
+  assert.match(errors[1], /^references\[2\] must be/);
+});
+
+test('resuming needs a session id, an answer and update or propose mode', () => {
+  const { errors } = parseRequest({ version: 1, contentType: 'csv', mode: 'generate', clarification_answer: { q1: 1 } });
+  assert.deepEqual(errors, [
+    'a paused session can only be resumed in update or propose mode',
+    'session_id is required to resume with clarification_answer',
+    'clarification_answer must be a non-empty string, or an object of answers keyed by question id'
+  ]);
+});
+
+test('legacy messages bodies are split into document and instruction', () => {
+  const adapted = adaptLegacyRequest({
+    contentType: 'markdown',
+    messages: [
+      { role: 'user', content: 'first' },
+      { role: 'assistant', content: [{ type: 'text', text: 'done' }] },
+      { role: 'user', content: 'Current content:\n# Doc\n\nInstruction: tidy it\n\nInstruction: shorten it' }
+    ]
+  });
+  assert.deepEqual(adapted, {
+    version: 1,
+    contentType: 'markdown',
+    mode: 'update',
+    document: '# Doc\n\nInstruction: tidy it',
+    instruction: 'shorten it',
+    history: [{ role: 'user', content: 'first' }, { role: 'assistant', content: 'done' }]
+  });
+});
+
+test('legacy conversation_state is refused', () => {
+  const { errors } = parseRequest({ conversation_state: { messages: [] } });
+  assert.ok(errors.includes('conversation_state is no longer accepted - resume with the session_id from clarification_needed'));
+});
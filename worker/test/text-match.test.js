@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_PATTERN_MATCHES,
+  matchingLines,
+  findNormalized,
+  closestMatches,
+  compilePattern,
+  findPattern
+} from '../text-match.js';
+
+test('matchingLines lists the line of every exact occurrence', () => {
+  assert.deepEqual(matchingLines('a,1\nb,2\na,3', 'a,'), [
+    { line: 1, text: 'a,1' },
+    { line: 3, text: 'a,3' }
+  ]);
+});
+
+test('findNormalized matches across whitespace and curly quotes', () => {
+  const content = 'Intro\nSay “hello”,\n   world\nEnd';
+  const spans = findNormalized(content, 'Say "hello", world');
+  assert.equal(spans.length, 1);
+  const [span] = spans;
+  assert.equal(content.slice(span.start, span.end), 'Say “hello”,\n   world');
+  assert.equal(span.line, 2);
+  assert.equal(span.end_line, 3);
+});
+
+test('findNormalized widens the span by the whitespace old_str starts and ends with', () => {
+  const content = 'a\n\nb\n\nc';
+  const [span] = findNormalized(content, '\nb\n');
+  assert.equal(content.slice(span.start, span.end), '\nb\n');
+
+  const [bare] = findNormalized(content, 'b');
+  assert.equal(content.slice(bare.start, bare.end), 'b');
+});
+
+test('findNormalized finds nothing for whitespace-only old_str', () => {
+  assert.deepEqual(findNormalized('a b', '  \n'), []);
+});
+
+test('closestMatches ranks similar passages best first', () => {
+  const matches = closestMatches('Name,Amount\nSmith,100\nSmyth,10\nJones,5', 'Smith,10');
+  assert.deepEqual(matches.map(match => match.line), [2, 3]);
+  assert.ok(matches[0].similarity > matches[1].similarity);
+  assert.ok(matches.every(match => match.similarity >= 0.5 && match.similarity < 1));
+});
+
+test('compilePattern refuses patterns that can match empty text', () => {
+  for (const pattern of ['^', 'x*', '(?:)', '(?=)', 'a|']) {
+    const { regex, error } = compilePattern(pattern);
+    assert.equal(regex, undefined, pattern);
+    assert.match(error, /matches empty text/, pattern);
+  }
+});
+
+test('compilePattern reports invalid and missing patterns', () => {
+  assert.match(compilePattern('(').error, /^Invalid pattern:/);
+  assert.equal(compilePattern('').error, 'pattern is required');
+  assert.match(compilePattern('a'.repeat(501)).error, /too long/);
+});
+
+test('compilePattern builds a multiline global regex', () => {
+  const { regex } = compilePattern('^total$', true);
+  assert.equal(regex.flags, 'gim');
+  assert.equal(findPattern('a\nTOTAL\nb', regex).total, 1);
+});
+
+test('findPattern reports the line and column of each match', () => {
+  const { regex } = compilePattern('\\d+');
+  const result = findPattern('a,12\nbb,3\n', regex);
+  assert.deepEqual(result, {
+    matches: [
+      { line: 1, column: 3, match: '12', text: 'a,12' },
+      { line: 2, column: 4, match: '3', text: 'bb,3' }
+    ],
+    total: 2,
+    capped: false
+  });
+});
+
+test('findPattern stops counting at MAX_PATTERN_MATCHES', () => {
+  const { regex } = compilePattern('x');
+  const result = findPattern('x'.repeat(MAX_PATTERN_MATCHES + 5), regex);
+  assert.equal(result.total, MAX_PATTERN_MATCHES);
+  assert.equal(result.capped, true);
+  assert.equal(result.matches.length, 50);
+});
+
+test('findPattern refuses the empty matches compilePattern cannot rule out', () => {
+  // \b and lookaheads only match empty text next to certain characters
+  for (const pattern of ['\\b', '(?=b)']) {
+    const { regex } = compilePattern(pattern);
+    assert.match(findPattern('abc', regex).error, /matches empty text at position/, pattern);
+  }
+});
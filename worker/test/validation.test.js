@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateDocument } from '../validation.js';
+
+test('a well-formed CSV with quoted fields is valid', () => {
+  assert.deepEqual(validateDocument('csv', 'Name,Note\n"Smith, J","two\nlines"\nLee,x\n\n'), {
+    valid: true,
+    issues: [],
+    total_issues: 0
+  });
+});
+
+test('an empty CSV is missing its header row, not tied to a line', () => {
+  for (const content of ['', '\n', '  \n ']) {
+    assert.deepEqual(validateDocument('csv', content).issues, [
+      { line: null, message: 'Missing header row: the CSV is empty' }
+    ]);
+  }
+});
+
+test('CSV rows are reported by the line they start on', () => {
+  const { issues } = validateDocument('csv', 'Name,Note\n"a\nb",x\n\nc\n');
+  assert.deepEqual(issues, [
+    { line: 4, message: 'Line 4 is blank' },
+    { line: 5, message: 'Row 3 (line 5) has 1 columns but the header has 2' }
+  ]);
+});
+
+test('a CSV header of numbers looks like data', () => {
+  const { issues } = validateDocument('csv', '1,$2,3%\n4,5,6');
+  assert.deepEqual(issues.map(issue => issue.line), [1]);
+  assert.match(issues[0].message, /only numbers/);
+});
+
+test('an unclosed CSV quote points at the row it opens in', () => {
+  const { issues } = validateDocument('csv', 'a,b\n1,2\n3,"open\n4,5');
+  assert.equal(issues[0].line, 3);
+  assert.match(issues[0].message, /^Unbalanced quotes/);
+});
+
+test('Markdown table rows must match the header width', () => {
+  const { issues } = validateDocument('markdown', '| a | b |\n| --- | --- |\n| 1 | 2 |\n| 3 |\n');
+  assert.deepEqual(issues, [
+    { line: 4, message: 'Table row on line 4 has 1 cells but the table header on line 1 has 2' }
+  ]);
+});
+
+test('Markdown escaped pipes do not split cells', () => {
+  assert.equal(validateDocument('markdown', '| a | b |\n| --- | --- |\n| x \\| y | 2 |').valid, true);
+});
+
+test('a Markdown table without a separator row is reported', () => {
+  const { issues } = validateDocument('markdown', '| a | b |\n| 1 | 2 |\n\ntext');
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].line, 1);
+  assert.match(issues[0].message, /no separator row/);
+});
+
+test('an unclosed Markdown fence is reported and hides what follows', () => {
+  const { issues } = validateDocument('markdown', '# A\n\n```js\n| a |\n| b |\n');
+  assert.deepEqual(issues, [
+    { line: 3, message: 'Code fence opened on line 3 (```) is never closed, so the rest of the document renders as code' }
+  ]);
+});
+
+test('unknown content types have nothing to validate', () => {
+  assert.equal(validateDocument('text', '').valid, true);
+});
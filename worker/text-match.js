@@ -0,0 +1,240 @@
+/**
+ * Text matching for str_replace - recovery when old_str is not an exact match
+ *
+ * Claude often gets whitespace or quote characters slightly wrong in old_str.
+ * Rather than answering "No match found" and leaving it to guess, the tool
+ * reports:
+ *
+ *   - matches that only differ in whitespace or quotes (findNormalized), which
+ *     match_mode: 'normalized' applies when there is exactly one
+ *   - otherwise the closest passages, with line numbers and a similarity
+ *     score between 0 and 1 (closestMatches)
+ *
+ * Normalizing turns curly quotes into straight ones and collapses every run of
+ * whitespace, line breaks included, into one space.
+ *
+ * The regular expression search behind the find and replace_all commands
+ * lives here too (compilePattern, findPattern).
+ */
+
+const MAX_CANDIDATES = 3;
+const MIN_SIMILARITY = 0.5;
+const MAX_LISTED_LINES = 10;
+const MAX_FIND_RESULTS = 50;
+// Guards for patterns written by the model: how much it may search and how
+// many matches one replace_all may make
+const MAX_PATTERN_CHARS = 500;
+const MAX_SEARCH_CHARS = 500000;
+export const MAX_PATTERN_MATCHES = 1000;
+const PREVIEW_CHARS = 200;
+
+const QUOTES = {
+  '‘': "'", '’': "'", '‚': "'", '‛': "'", '′': "'",
+  '“': '"', '”': '"', '„': '"', '‟': '"', '″': '"'
+};
+
+/**
+ * Normalize text, remembering where each normalized character came from.
+ * Returns { text, offsets } - offsets[i] is the index in the original.
+ */
+function normalizeWithOffsets(original) {
+  let text = '';
+  const offsets = [];
+  let inSpace = false;
+
+  for (let i = 0; i < original.length; i++) {
+    const char = original[i];
+    if (/\s/.test(char)) {
+      if (!inSpace) {
+        text += ' ';
+        offsets.push(i);
+        inSpace = true;
+      }
+      continue;
+    }
+    inSpace = false;
+    text += QUOTES[char] || char;
+    offsets.push(i);
+  }
+
+  return { text, offsets };
+}
+
+function normalizeText(text) {
+  return normalizeWithOffsets(text).text.trim();
+}
+
+// 1-indexed line of a character position
+export function lineAt(content, position) {
+  return (content.slice(0, position).match(/\n/g) || []).length + 1;
+}
+
+/**
+ * The line numbers and text of every place old_str occurs exactly
+ */
+export function matchingLines(content, oldStr) {
+  const lines = content.split('\n');
+  const matches = [];
+  let position = content.indexOf(oldStr);
+  while (position !== -1 && matches.length < MAX_LISTED_LINES) {
+    const line = lineAt(content, position);
+    matches.push({ line, text: lines[line - 1].slice(0, PREVIEW_CHARS) });
+    position = content.indexOf(oldStr, position + oldStr.length);
+  }
+  return matches;
+}
+
+/**
+ * Every span of content that matches oldStr once both are normalized, as
+ * { start, end, line, end_line, text } in the original content. The span
+ * takes in as much whitespace on either side as oldStr starts and ends with,
+ * so replacing it does not leave that whitespace behind.
+ */
+export function findNormalized(content, oldStr) {
+  const needle = normalizeText(oldStr);
+  if (!needle) return [];
+  const leading = oldStr.length - oldStr.trimStart().length;
+  const trailing = oldStr.length - oldStr.trimEnd().length;
+
+  const { text, offsets } = normalizeWithOffsets(content);
+  const spans = [];
+  let index = text.indexOf(needle);
+  while (index !== -1) {
+    let start = offsets[index];
+    let end = offsets[index + needle.length - 1] + 1;
+    for (let n = 0; n < leading && start > 0 && /\s/.test(content[start - 1]); n++) start--;
+    for (let n = 0; n < trailing && end < content.length && /\s/.test(content[end]); n++) end++;
+    spans.push({
+      start,
+      end,
+      line: lineAt(content, start),
+      end_line: lineAt(content, end),
+      text: content.slice(start, end).slice(0, PREVIEW_CHARS)
+    });
+    index = text.indexOf(needle, index + needle.length);
+  }
+  return spans;
+}
+
+// Character bigrams, counted
+function bigrams(text) {
+  const counts = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const pair = text.slice(i, i + 2);
+    counts.set(pair, (counts.get(pair) || 0) + 1);
+  }
+  return counts;
+}
+
+// Dice coefficient over character bigrams - 1 for identical text
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  const left = bigrams(a);
+  const right = bigrams(b);
+  let shared = 0;
+  for (const [pair, count] of left) {
+    shared += Math.min(count, right.get(pair) || 0);
+  }
+  return (2 * shared) / (a.length - 1 + b.length - 1);
+}
+
+/**
+ * The passages most like oldStr, best first: windows of as many lines as
+ * oldStr has, as { line, end_line, similarity, text }
+ */
+export function closestMatches(content, oldStr) {
+  const needle = normalizeText(oldStr);
+  const lines = content.split('\n');
+  const size = Math.max(oldStr.trim().split('\n').length, 1);
+  const candidates = [];
+
+  for (let start = 0; start + size <= lines.length; start++) {
+    const window = lines.slice(start, start + size).join('\n');
+    const score = similarity(needle, normalizeText(window));
+    if (score >= MIN_SIMILARITY) {
+      candidates.push({
+        line: start + 1,
+        end_line: start + size,
+        similarity: Math.round(score * 100) / 100,
+        text: window.slice(0, PREVIEW_CHARS)
+      });
+    }
+  }
+
+  return candidates
+    .sort((a, b) => b.similarity - a.similarity || a.line - b.line)
+    .slice(0, MAX_CANDIDATES);
+}
+
+/**
+ * Compile a find / replace_all pattern. Multiline, so ^ and $ match at line
+ * breaks. Patterns that can match empty text are refused - replace_all would
+ * insert the replacement between every character. Returns { regex } or
+ * { error }.
+ */
+export function compilePattern(pattern, ignoreCase) {
+  if (typeof pattern !== 'string' || !pattern) {
+    return { error: 'pattern is required' };
+  }
+  if (pattern.length > MAX_PATTERN_CHARS) {
+    return { error: `pattern is too long (${pattern.length} characters, at most ${MAX_PATTERN_CHARS})` };
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(pattern, ignoreCase ? 'gmi' : 'gm');
+  } catch (e) {
+    return { error: `Invalid pattern: ${e.message}` };
+  }
+  if (new RegExp(regex.source, regex.flags.replace('g', '')).test('')) {
+    return { error: 'pattern matches empty text - make it match at least one character' };
+  }
+  return { regex };
+}
+
+/**
+ * Every match of a global regex, with its line and column (1-indexed) and the
+ * whole line for context. Lists at most MAX_FIND_RESULTS; total counts up to
+ * MAX_PATTERN_MATCHES, and capped says the search stopped there. Returns
+ * { error } for a document too large to search or an empty match (e.g. from
+ * a lookahead or \b alone).
+ */
+export function findPattern(content, regex) {
+  if (content.length > MAX_SEARCH_CHARS) {
+    return { error: `The document is too large to search with a pattern (${content.length} characters, at most ${MAX_SEARCH_CHARS}) - use str_replace instead` };
+  }
+
+  const lines = content.split('\n');
+  const matches = [];
+  let total = 0;
+  let capped = false;
+  let line = 1;
+  let lineStart = 0;
+
+  for (const match of content.matchAll(regex)) {
+    if (match[0] === '') {
+      return { error: `pattern matches empty text at position ${match.index} - make it match at least one character` };
+    }
+    if (total === MAX_PATTERN_MATCHES) {
+      capped = true;
+      break;
+    }
+    total++;
+    if (matches.length >= MAX_FIND_RESULTS) continue;
+
+    // Matches come in order, so the line count only moves forward
+    while (line < lines.length && lineStart + lines[line - 1].length < match.index) {
+      lineStart += lines[line - 1].length + 1;
+      line++;
+    }
+    matches.push({
+      line,
+      column: match.index - lineStart + 1,
+      match: match[0].slice(0, PREVIEW_CHARS),
+      text: lines[line - 1].slice(0, PREVIEW_CHARS)
+    });
+  }
+
+  return { matches, total, capped };
+}
@@ -0,0 +1,133 @@
+/**
+ * Usage accounting - token counts and estimated cost per request
+ *
+ * Every Anthropic response carries a usage block:
+ *
+ *   { input_tokens, output_tokens,
+ *     cache_creation_input_tokens,   // prompt written to the cache (1.25x input price)
+ *     cache_read_input_tokens }      // prompt served from the cache (0.1x input price)
+ *
+ * Usage is summed across the turns of a request, reported to the client as a
+ * usage event, and added to daily totals per session and per client in
+ * AI_SANDBOX_KV (in memory without it). Daily totals are kept for
+ * USAGE_RETENTION_DAYS (default 31).
+ */
+
+const USAGE_FIELDS = ['input_tokens', 'output_tokens', 'cache_creation_input_tokens', 'cache_read_input_tokens'];
+
+// USD per million tokens, matched against the model name in order
+const PRICING = [
+  { pattern: /opus-4-5/, input: 5, output: 25 },
+  { pattern: /opus/, input: 15, output: 75 },
+  { pattern: /haiku-4/, input: 1, output: 5 },
+  { pattern: /3-5-haiku|haiku-3-5/, input: 0.8, output: 4 },
+  { pattern: /haiku/, input: 0.25, output: 1.25 },
+  { pattern: /sonnet/, input: 3, output: 15 }
+];
+const DEFAULT_PRICING = { input: 3, output: 15 };
+const CACHE_WRITE_MULTIPLIER = 1.25;
+const CACHE_READ_MULTIPLIER = 0.1;
+
+const DEFAULT_RETENTION_DAYS = 31;
+
+// Shared by every request handled by this isolate
+const memoryTotals = new Map();
+
+export function emptyUsage() {
+  return Object.fromEntries(USAGE_FIELDS.map(field => [field, 0]));
+}
+
+/**
+ * Add an Anthropic usage block to a running total (in place)
+ */
+export function addUsage(total, usage) {
+  for (const field of USAGE_FIELDS) {
+    total[field] += usage?.[field] || 0;
+  }
+  return total;
+}
+
+/**
+ * Estimated cost in USD for a usage total. Models that are not Claude are
+ * assumed to run on our own hardware and cost nothing.
+ */
+export function estimateCost(model, usage) {
+  if (!/claude/i.test(model)) return 0;
+  const price = PRICING.find(entry => entry.pattern.test(model)) || DEFAULT_PRICING;
+  const dollars = (
+    usage.input_tokens * price.input
+    + usage.cache_creation_input_tokens * price.input * CACHE_WRITE_MULTIPLIER
+    + usage.cache_read_input_tokens * price.input * CACHE_READ_MULTIPLIER
+    + usage.output_tokens * price.output
+  ) / 1e6;
+  return Math.round(dollars * 1e6) / 1e6;
+}
+
+/**
+ * The usage event sent before [DONE]
+ */
+export function usageEvent(model, usage, turns) {
+  return {
+    type: 'usage',
+    model,
+    turns,
+    usage,
+    cost_usd: estimateCost(model, usage)
+  };
+}
+
+export function usageDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function emptyTotals() {
+  return { requests: 0, turns: 0, ...emptyUsage(), cost_usd: 0 };
+}
+
+/**
+ * Create the daily usage store for this request's environment.
+ * Returns { record({ session, client, usage, turns, cost }), get(day, scope, id) }
+ * where scope is 'session' or 'client'.
+ */
+export function createUsageStore(env) {
+  const kv = env.AI_SANDBOX_KV;
+  const retentionDays = parseInt(env.USAGE_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+  const ttl = retentionDays * 24 * 60 * 60;
+
+  const read = async (key) => {
+    if (kv) return (await kv.get(key, 'json')) || emptyTotals();
+    const entry = memoryTotals.get(key);
+    return entry && entry.expires > Date.now() ? structuredClone(entry.totals) : emptyTotals();
+  };
+
+  const write = async (key, totals) => {
+    if (kv) {
+      await kv.put(key, JSON.stringify(totals), { expirationTtl: ttl });
+    } else {
+      memoryTotals.set(key, { totals: structuredClone(totals), expires: Date.now() + ttl * 1000 });
+    }
+  };
+
+  return {
+    async record({ session, client, usage, turns, cost }) {
+      const day = usageDay();
+      const keys = [
+        session && `usage:${day}:session:${session}`,
+        client && `usage:${day}:client:${client}`
+      ].filter(Boolean);
+
+      for (const key of keys) {
+        const totals = await read(key);
+        totals.requests += 1;
+        totals.turns += turns;
+        addUsage(totals, usage);
+        totals.cost_usd = Math.round((totals.cost_usd + cost) * 1e6) / 1e6;
+        await write(key, totals);
+      }
+    },
+
+    async get(day, scope, id) {
+      return read(`usage:${day}:${scope}:${id}`);
+    }
+  };
+}
@@ -0,0 +1,194 @@
+/**
+ * Document validation - structural checks run after every edit
+ *
+ * Problems are returned to Claude inside the tool_result so it can repair its
+ * own mistakes before finishing; anything still unresolved at the end of the
+ * edit is sent to the client as a validation_warnings event.
+ *
+ * Each issue is { line, message } with a 1-indexed line number (or null when
+ * the problem is not tied to a line).
+ */
+
+import { parseCsv } from './csv-tool.js';
+
+// Keep tool results small - Claude only needs the first few problems
+const MAX_REPORTED_ISSUES = 20;
+
+function validateCsv(content) {
+  const issues = [];
+  // Only run after an edit, so an empty document means the table was emptied
+  if (!content.trim()) {
+    issues.push({ line: null, message: 'Missing header row: the CSV is empty' });
+    return issues;
+  }
+
+  const { rows, unterminatedQuote } = parseCsv(content);
+
+  // Line number where each row starts (rows may span lines inside quotes)
+  const startLines = [];
+  let line = 1;
+  for (const row of rows) {
+    startLines.push(line);
+    line += row.raw.split('\n').length;
+  }
+
+  if (unterminatedQuote) {
+    const lastRow = rows.length - 1;
+    issues.push({
+      line: startLines[lastRow],
+      message: `Unbalanced quotes: a quoted field in row starting on line ${startLines[lastRow]} is never closed, so the rest of the file is read as one cell`
+    });
+  }
+
+  const header = rows[0].cells;
+  if (header.every(cell => cell.trim() === '')) {
+    issues.push({ line: 1, message: 'Missing header row: the first row is empty' });
+  } else {
+    const numeric = header.filter(cell => cell.trim() !== '' && !isNaN(Number(cell.replace(/[$,%]/g, ''))));
+    if (numeric.length === header.length) {
+      issues.push({ line: 1, message: 'Missing header row: the first row contains only numbers and looks like data' });
+    }
+    header.forEach((cell, idx) => {
+      if (cell.trim() === '') {
+        issues.push({ line: 1, message: `Header column ${idx + 1} has no name` });
+      }
+    });
+  }
+
+  const isBlank = row => row.cells.length === 1 && row.cells[0].trim() === '';
+
+  // Blank lines at the very end are harmless; only flag ones between rows
+  let lastRow = rows.length - 1;
+  while (lastRow > 0 && isBlank(rows[lastRow])) lastRow--;
+
+  rows.slice(1, lastRow + 1).forEach((row, idx) => {
+    const rowLine = startLines[idx + 1];
+    if (isBlank(row)) {
+      issues.push({ line: rowLine, message: `Line ${rowLine} is blank` });
+    } else if (row.cells.length !== header.length) {
+      issues.push({
+        line: rowLine,
+        message: `Row ${idx + 1} (line ${rowLine}) has ${row.cells.length} columns but the header has ${header.length}`
+      });
+    }
+  });
+
+  return issues;
+}
+
+// Split a Markdown table row into cells, ignoring escaped pipes
+function tableCells(line) {
+  let text = line.trim();
+  if (text.startsWith('|')) text = text.slice(1);
+  if (text.endsWith('|') && !text.endsWith('\\|')) text = text.slice(0, -1);
+  return text.split(/(?<!\\)\|/);
+}
+
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+
+function validateMarkdown(content) {
+  const issues = [];
+  const lines = content.split('\n');
+  let fence = null;
+  let table = null; // { headerLine, columns } for the table being read
+  let pipeRun = null; // first line of consecutive pipe rows with no separator
+
+  lines.forEach((line, idx) => {
+    const lineNumber = idx + 1;
+
+    const fenceMatch = line.match(FENCE);
+    if (fenceMatch) {
+      const marker = fenceMatch[1];
+      if (!fence) {
+        fence = { marker, line: lineNumber };
+      } else if (marker[0] === fence.marker[0] && marker.length >= fence.marker.length) {
+        fence = null;
+      }
+      table = null;
+      pipeRun = null;
+      return;
+    }
+    if (fence) return;
+
+    const isPipeRow = line.includes('|') && line.trim() !== '';
+
+    if (table) {
+      if (isPipeRow) {
+        const cells = tableCells(line).length;
+        if (cells !== table.columns) {
+          issues.push({
+            line: lineNumber,
+            message: `Table row on line ${lineNumber} has ${cells} cells but the table header on line ${table.headerLine} has ${table.columns}`
+          });
+        }
+        return;
+      }
+      table = null;
+    }
+
+    if (isPipeRow && TABLE_SEPARATOR.test(line) && idx > 0 && lines[idx - 1].includes('|')) {
+      const columns = tableCells(lines[idx - 1]).length;
+      const separatorColumns = tableCells(line).length;
+      if (separatorColumns !== columns) {
+        issues.push({
+          line: lineNumber,
+          message: `Table separator on line ${lineNumber} has ${separatorColumns} cells but the header on line ${idx} has ${columns}`
+        });
+      }
+      table = { headerLine: idx, columns };
+      pipeRun = null;
+      return;
+    }
+
+    if (isPipeRow && line.trim().startsWith('|')) {
+      pipeRun = pipeRun || { line: lineNumber, count: 0 };
+      pipeRun.count++;
+      return;
+    }
+
+    if (pipeRun && pipeRun.count > 1) {
+      issues.push({
+        line: pipeRun.line,
+        message: `Table starting on line ${pipeRun.line} has no separator row (e.g. | --- | --- |) under its header, so it will not render as a table`
+      });
+    }
+    pipeRun = null;
+  });
+
+  if (pipeRun && pipeRun.count > 1) {
+    issues.push({
+      line: pipeRun.line,
+      message: `Table starting on line ${pipeRun.line} has no separator row (e.g. | --- | --- |) under its header, so it will not render as a table`
+    });
+  }
+
+  if (fence) {
+    issues.push({
+      line: fence.line,
+      message: `Code fence opened on line ${fence.line} (${fence.marker}) is never closed, so the rest of the document renders as code`
+    });
+  }
+
+  return issues;
+}
+
+const VALIDATORS = {
+  csv: validateCsv,
+  markdown: validateMarkdown,
+};
+
+/**
+ * Check a document for structural problems.
+ * Returns { valid, issues, total_issues }, with issues capped for brevity.
+ */
+export function validateDocument(contentType, content) {
+  const validator = VALIDATORS[contentType];
+  const issues = validator ? validator(content) : [];
+  issues.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+  return {
+    valid: issues.length === 0,
+    issues: issues.slice(0, MAX_REPORTED_ISSUES),
+    total_issues: issues.length
+  };
+}